@@ -0,0 +1,207 @@
+const crypto        = require('crypto');
+const path          = require('path');
+const trivia        = require('./trivia-room');
+const JsonFileStore = require('./json-store');
+
+// Where accounts are stored, keyed by lower-case nickname.
+let store = null;
+
+// Registration rules.
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+
+/*
+    The stats a registered player accumulates over every game they play.
+*/
+class LifetimeStatistics
+{
+    constructor()
+    {
+        this.gamesPlayed  = 0;
+        this.wins         = 0;
+        this.bestScore    = 0;
+        this.byCategory   = {}; // Maps category names to { right, wrong }.
+        this.byDifficulty = {}; // Maps difficulties to { right, wrong }.
+    }
+}
+
+// Returns a Promise that resolves when the account file has been read.
+// Lifetime stats are updated from trivia room events from then on.
+function init(filePath = path.join(__dirname, 'data', 'accounts.json'))
+{
+    store = new JsonFileStore(filePath, { accounts: {} });
+
+    // Count every answer a registered player gives.
+    trivia.triviaEventEmitter.on
+    (
+        trivia.events.ANSWER_RESULT,
+        (room, user, question, result) =>
+        {
+            if (user.account) recordAnswer(user.account, question, result === trivia.answerResult.CORRECT);
+        }
+    );
+
+    // Count the game for every registered player still in the room.
+    trivia.triviaEventEmitter.on
+    (
+        trivia.events.GAME_OVER,
+        (room, rankedStats) =>
+        {
+            room.users
+                .filter(u => u.account)
+                .forEach(u => recordGame(u.account, rankedStats, u.nickname));
+        }
+    );
+
+    return store.load();
+}
+
+// Create an account that reserves the nickname. Returns a Promise that
+// resolves with the new account, or rejects with an Error whose message
+// says why the account couldn't be made.
+function register(nickname, password)
+{
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)
+        return Promise.reject(new Error(`Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`));
+    if (isNicknameReserved(nickname))
+        return Promise.reject(new Error('That nickname is already registered.'));
+
+    let salt = crypto.randomBytes(16).toString('hex');
+
+    return hashPassword(password, salt)
+    .then
+    (
+        hash =>
+        {
+            // Someone may have registered the name while we were hashing.
+            if (isNicknameReserved(nickname))
+                throw new Error('That nickname is already registered.');
+
+            let account =
+            {
+                nickname    : nickname,
+                salt        : salt,
+                passwordHash: hash,
+                createdAt   : new Date().toISOString(),
+                stats       : new LifetimeStatistics()
+            };
+
+            store.data.accounts[nickname.toLowerCase()] = account;
+            store.save();
+
+            return account;
+        }
+    );
+}
+
+// Returns a Promise that resolves with the account if the password is
+// right, or null if it isn't (or there is no such account).
+function authenticate(nickname, password)
+{
+    let account = getAccount(nickname);
+    if (!account || typeof password !== 'string') return Promise.resolve(null);
+
+    return hashPassword(password, account.salt)
+    .then
+    (
+        hash =>
+        {
+            let expected = Buffer.from(account.passwordHash, 'hex');
+            let actual   = Buffer.from(hash, 'hex');
+
+            return crypto.timingSafeEqual(expected, actual) ? account : null;
+        }
+    );
+}
+
+// Returns true if the nickname belongs to a registered account.
+function isNicknameReserved(nickname)
+{
+    return getAccount(nickname) !== null;
+}
+
+// Return the account with the given nickname, or null if there is none.
+function getAccount(nickname)
+{
+    if (!store || typeof nickname !== 'string') return null;
+
+    let key = nickname.toLowerCase();
+    return store.data.accounts.hasOwnProperty(key) ? store.data.accounts[key] : null;
+}
+
+// Save account changes now instead of waiting for the next batched
+// write, e.g. before shutting down. Returns a Promise.
+function flush()
+{
+    return store ? store.flush() : Promise.resolve();
+}
+
+// Return what anyone may see about a registered player, or null if the
+// nickname isn't registered.
+function getProfile(nickname)
+{
+    let account = getAccount(nickname);
+    if (!account) return null;
+
+    return {
+        nickname : account.nickname,
+        createdAt: account.createdAt,
+        stats    : account.stats
+    };
+}
+
+function recordAnswer(account, question, correct)
+{
+    let stats = account.stats;
+    let key   = correct ? 'right' : 'wrong';
+
+    let category   = question.categoryName || 'Unknown';
+    let difficulty = question.difficulty   || 'unknown';
+
+    if (!stats.byCategory[category])     stats.byCategory[category]     = { right: 0, wrong: 0 };
+    if (!stats.byDifficulty[difficulty]) stats.byDifficulty[difficulty] = { right: 0, wrong: 0 };
+
+    ++stats.byCategory[category][key];
+    ++stats.byDifficulty[difficulty][key];
+
+    store.save();
+}
+
+// rankedStats are the final user stats sorted best first. Everyone tied
+// with the best player counts as a winner.
+function recordGame(account, rankedStats, nickname)
+{
+    let stats = account.stats;
+    let own   = rankedStats.find(s => s.nickname === nickname);
+    if (!own) return;
+
+    ++stats.gamesPlayed;
+    if (trivia.compareStats(own, rankedStats[0]) === 0) ++stats.wins;
+    stats.bestScore = Math.max(stats.bestScore, own.points);
+
+    store.save();
+}
+
+// Hash a password with scrypt. Resolves with the hash as a hex string.
+function hashPassword(password, salt)
+{
+    return new Promise
+    (
+        (resolve, reject) =>
+        crypto.scrypt
+        (
+            password, salt, 64,
+            (error, key) => error ? reject(error) : resolve(key.toString('hex'))
+        )
+    );
+}
+
+module.exports.init               = init;
+module.exports.register           = register;
+module.exports.authenticate       = authenticate;
+module.exports.isNicknameReserved = isNicknameReserved;
+module.exports.getAccount         = getAccount;
+module.exports.getProfile         = getProfile;
+module.exports.hashPassword       = hashPassword;
+module.exports.flush              = flush;
+module.exports.LifetimeStatistics = LifetimeStatistics;
@@ -0,0 +1,307 @@
+const crypto     = require('crypto');
+const path       = require('path');
+const express    = require('express');
+const user       = require('./user');
+const trivia     = require('./trivia-room');
+const munchkin   = require('./munchkin-room');
+const questions  = require('./question-source');
+const bans       = require('./bans');
+const validation = require('./validation');
+
+/*
+    The admin section of the web server: a dashboard page at /admin and
+    the JSON API it uses under /admin/api. Every API request needs the
+    admin token from the config, sent as "Authorization: Bearer <token>".
+
+    | GET    /api/rooms            | Every room, with its users and phase.                                 |
+    | DELETE /api/rooms/:id        | Send everyone to the lobby and delete the room now. Body: { message } |
+    | POST   /api/rooms/:id/close  | Let nobody new in and delete the room once it is empty.               |
+    | GET    /api/users            | Every connected user, with their address and room.                    |
+    | POST   /api/kick             | Kick users off the server. Body: { nickname or address, message }     |
+    | GET    /api/bans             | Every server-wide ban (see bans.js).                                  |
+    | POST   /api/bans             | Ban and kick. Body: { nickname or address, reason }                   |
+    | DELETE /api/bans             | Lift a ban. Query: ?nickname= or ?address=                            |
+    | POST   /api/announcements    | Post a message in the lobby and every room. Body: { message }         |
+    | GET    /api/question-sources | How each question provider is doing.                                  |
+
+    Rejected requests get an HTTP error status with { error: message }.
+    With several server instances, each one's admin section sees and acts
+    on its own rooms and users, though announcements reach the lobby on
+    every instance.
+*/
+
+// What the admin sends with requests, checked like socket events are.
+const messageRule = { type: 'string', minLength: 1, maxLength: validation.limits.MESSAGE_LENGTH, trim: true };
+const targetRule  =
+{
+    type  : 'object',
+    fields:
+    {
+        nickname: { type: 'string', minLength: 1, maxLength: validation.limits.NICKNAME_LENGTH, trim: true, optional: true, nullable: true },
+        address : { type: 'string', minLength: 1, maxLength: 64, trim: true, optional: true, nullable: true },
+        message : { ...messageRule, default: 'An admin removed you.' },
+        reason  : { ...messageRule, optional: true, nullable: true }
+    }
+};
+
+// Which module each game type's rooms belong to.
+const roomModules = { trivia: trivia, munchkin: munchkin };
+
+// Make the router to mount at /admin. lobby is the Lobby every user
+// returns to; token is the admin token from the config.
+function makeRouter(lobby, token)
+{
+    let router = express.Router();
+
+    // The page holds no data of its own; it asks for the token and
+    // calls the API with it.
+    router.get('/', (req, res) => res.sendFile(path.join(__dirname, 'admin.html')));
+
+    router.use('/api', requireToken(token), express.json());
+
+    router.get('/api/rooms', (req, res) => res.json(user.getAllRooms().map(makeRoomInfoObject)));
+
+    router.delete
+    (
+        '/api/rooms/:id', (req, res) =>
+        {
+            let room = user.getRoomById(req.params.id);
+            if (!room) return sendError(res, 404, `There is no room with ID ${req.params.id}.`);
+
+            let body = checkBody(res, req.body, { type: 'object', fields: { message: { ...messageRule, default: 'An admin closed the room.' } } });
+            if (!body) return;
+
+            deleteRoom(room, body.message);
+            res.json({ deleted: room.id });
+        }
+    );
+
+    router.post
+    (
+        '/api/rooms/:id/close', (req, res) =>
+        {
+            let room = user.getRoomById(req.params.id);
+            if (!room) return sendError(res, 404, `There is no room with ID ${req.params.id}.`);
+
+            closeRoom(room);
+            res.json(makeRoomInfoObject(room));
+        }
+    );
+
+    router.get
+    (
+        '/api/users', (req, res) => res.json
+        (
+            user.allUsers.map
+            (
+                u =>
+                ({
+                    nickname : u.nickname || null,
+                    account  : u.account ? u.account.nickname : null,
+                    address  : u.socket.handshake.address,
+                    connected: u.connected !== false,
+                    room     : u.room && u.room !== lobby ? u.room.id : null
+                })
+            )
+        )
+    );
+
+    router.post
+    (
+        '/api/kick', (req, res) =>
+        {
+            let target = checkTarget(res, req.body);
+            if (!target) return;
+
+            res.json({ kicked: kickUsers(target, target.message) });
+        }
+    );
+
+    router.get('/api/bans', (req, res) => res.json(bans.getBans()));
+
+    router.post
+    (
+        '/api/bans', (req, res) =>
+        {
+            let target = checkTarget(res, req.body);
+            if (!target) return;
+
+            if (target.nickname) bans.banNickname(target.nickname, target.reason);
+            else                 bans.banAddress(target.address, target.reason);
+
+            console.log(`An admin banned ${target.nickname || target.address}.`);
+            res.json({ kicked: kickUsers(target, 'You are banned from this server.') });
+        }
+    );
+
+    router.delete
+    (
+        '/api/bans', (req, res) =>
+        {
+            let target = checkTarget(res, req.query);
+            if (!target) return;
+
+            let lifted = target.nickname ? bans.unbanNickname(target.nickname) : bans.unbanAddress(target.address);
+            if (!lifted) return sendError(res, 404, `${target.nickname || target.address} isn't banned.`);
+
+            res.json(bans.getBans());
+        }
+    );
+
+    router.post
+    (
+        '/api/announcements', (req, res) =>
+        {
+            let body = checkBody(res, req.body, { type: 'object', fields: { message: messageRule } });
+            if (!body) return;
+
+            let rooms = user.getAllRooms();
+            lobby.sendSystemMessage(`Announcement: ${body.message}`);
+            rooms.forEach(room => room.sendSystemMessage(`Announcement: ${body.message}`));
+
+            console.log(`An admin announced: ${body.message}`);
+            res.json({ rooms: rooms.length });
+        }
+    );
+
+    router.get('/api/question-sources', (req, res) => res.json(questions.getProviderHealth()));
+
+    // Answer with JSON when something goes wrong, e.g. a body that isn't JSON.
+    router.use('/api', (error, req, res, next) => sendError(res, error.status || 500, error.message));
+
+    return router;
+}
+
+// Express middleware that turns away requests without the admin token.
+// Both sides are hashed first so they can be compared in constant time.
+function requireToken(token)
+{
+    let expected = crypto.createHash('sha256').update(token).digest();
+
+    return (req, res, next) =>
+    {
+        let match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        let given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+
+        if (!match || !crypto.timingSafeEqual(given, expected))
+            return sendError(res, 401, 'This needs the admin token.');
+
+        next();
+    };
+}
+
+// Check the body against the rule. Returns it normalized, or null after
+// answering with what is wrong with it.
+function checkBody(res, body, rule)
+{
+    try
+    {
+        return validation.checkValue(rule, body || {}, 'The request');
+    }
+    catch (e)
+    {
+        if (!(e instanceof validation.ValidationError)) throw e;
+
+        sendError(res, 400, e.message);
+        return null;
+    }
+}
+
+// checkBody() for requests aimed at a nickname or an address.
+function checkTarget(res, body)
+{
+    let target = checkBody(res, body, targetRule);
+    if (target && !target.nickname === !target.address)
+    {
+        sendError(res, 400, 'Give either a nickname or an address.');
+        return null;
+    }
+
+    return target;
+}
+
+function sendError(res, status, message)
+{
+    res.status(status).json({ error: message });
+}
+
+// Kick the user with the target's nickname, or every user connecting
+// from its address, off the server. Returns the nicknames of the users
+// kicked; nameless users are counted as null.
+function kickUsers(target, message)
+{
+    let kicked = user.allUsers.filter
+    (
+        u => target.nickname
+            ? u.nickname.toLowerCase() === target.nickname.toLowerCase()
+            : u.socket.handshake.address === target.address
+    );
+
+    kicked.forEach(u => user.kickUser(u, message));
+    return kicked.map(u => u.nickname || null);
+}
+
+// Send everyone in the room back to the lobby, telling them why, and
+// delete the room.
+function deleteRoom(room, message)
+{
+    console.log(`An admin deleted room ${room.id}.`);
+
+    room.users.slice().forEach
+    (
+        u =>
+        {
+            /**
+             * 'room closed' comes with { id, message }.
+             */
+            u.socket.emit('room closed', { id: room.id, message: message });
+            u.lobby.addUser(u);
+        }
+    );
+
+    roomModules[room.gameType].deleteRoom(room);
+}
+
+// Let the room's users finish, but let nobody else in, and delete the
+// room once the last of them leaves (or now, if it is empty).
+function closeRoom(room)
+{
+    console.log(`An admin closed room ${room.id}.`);
+
+    room.closing          = true;
+    room.deleteOnLastUser = true;
+
+    if (room.users.length === 0) roomModules[room.gameType].deleteRoom(room);
+    else                         room.sendSystemMessage('An admin closed this room. Nobody else can join, and it will go once everyone has left.');
+}
+
+// What the dashboard shows about a room.
+function makeRoomInfoObject(room)
+{
+    let isTrivia = room.gameType === 'trivia';
+
+    return {
+        id         : room.id,
+        name       : room.name,
+        gameType   : room.gameType,
+        phase      : room.phase,
+        paused     : isTrivia ? room.paused : false,
+        host       : isTrivia && room.host ? room.host.nickname : null,
+        listed     : room.config.listed !== false,
+        hasPassword: !!room.config.password,
+        closing    : room.closing,
+        permanent  : !room.deleteOnLastUser,
+        users      : room.users.map
+        (
+            u =>
+            ({
+                nickname : u.nickname,
+                address  : u.socket.handshake.address,
+                connected: u.connected !== false,
+                spectator: isTrivia && room.spectators.has(u)
+            })
+        )
+    };
+}
+
+module.exports.makeRouter = makeRouter;
@@ -0,0 +1,106 @@
+const path          = require('path');
+const JsonFileStore = require('./json-store');
+
+/*
+    Nicknames and addresses banned from the whole server by an admin, as
+    opposed to the bans a host hands out in their own room. Users from a
+    banned address can't connect at all; banned nicknames can't be
+    picked, registered or logged in to. The file looks like:
+
+    {
+        nicknames: { lower-case nickname: { nickname, reason, bannedAt } },
+        addresses: { address: { address, reason, bannedAt } }
+    }
+
+    Behind a reverse proxy every user has the proxy's address, so only
+    ban addresses when the server is reached directly.
+*/
+
+let store = null;
+
+// Returns a Promise that resolves when the ban list has been read.
+function init(filePath = path.join(__dirname, 'data', 'bans.json'))
+{
+    store = new JsonFileStore(filePath, { nicknames: {}, addresses: {} });
+    return store.load();
+}
+
+function isNicknameBanned(nickname)
+{
+    return !!store && typeof nickname === 'string' && store.data.nicknames.hasOwnProperty(nickname.toLowerCase());
+}
+
+function isAddressBanned(address)
+{
+    return !!store && typeof address === 'string' && store.data.addresses.hasOwnProperty(address);
+}
+
+// Ban the nickname. reason is shown to admins only.
+function banNickname(nickname, reason = null)
+{
+    store.data.nicknames[nickname.toLowerCase()] = { nickname: nickname, reason: reason, bannedAt: Date.now() };
+    store.save();
+}
+
+function banAddress(address, reason = null)
+{
+    store.data.addresses[address] = { address: address, reason: reason, bannedAt: Date.now() };
+    store.save();
+}
+
+// Lift the ban on the nickname. Returns false if it wasn't banned.
+function unbanNickname(nickname)
+{
+    if (!isNicknameBanned(nickname)) return false;
+
+    delete store.data.nicknames[nickname.toLowerCase()];
+    store.save();
+    return true;
+}
+
+// Lift the ban on the address. Returns false if it wasn't banned.
+function unbanAddress(address)
+{
+    if (!isAddressBanned(address)) return false;
+
+    delete store.data.addresses[address];
+    store.save();
+    return true;
+}
+
+// Return every ban as { nicknames: [...], addresses: [...] }, oldest first.
+function getBans()
+{
+    let byDate = (a, b) => a.bannedAt - b.bannedAt;
+
+    return {
+        nicknames: Object.values(store.data.nicknames).sort(byDate),
+        addresses: Object.values(store.data.addresses).sort(byDate)
+    };
+}
+
+// socket.io middleware: refuse connections from banned addresses. The
+// client gets an 'error' event saying why.
+function checkConnection(socket, next)
+{
+    if (isAddressBanned(socket.handshake.address)) return next(new Error('You are banned from this server.'));
+    next();
+}
+
+// Save ban changes now instead of waiting for the next batched write,
+// e.g. before shutting down. Returns a Promise.
+function flush()
+{
+    return store ? store.flush() : Promise.resolve();
+}
+
+module.exports.init             = init;
+module.exports.isNicknameBanned = isNicknameBanned;
+module.exports.isAddressBanned  = isAddressBanned;
+module.exports.banNickname      = banNickname;
+module.exports.banAddress       = banAddress;
+module.exports.unbanNickname    = unbanNickname;
+module.exports.unbanAddress     = unbanAddress;
+module.exports.getBans          = getBans;
+module.exports.checkConnection  = checkConnection;
+module.exports.flush            = flush;
@@ -0,0 +1,81 @@
+/*
+    A shuffled draw pile with a discard pile. When the draw pile runs
+    out, the discard pile is shuffled back in.
+*/
+class Deck
+{
+    /*
+        | definitions | Card definitions from the card loader; each is copied 'count' times. |
+        | deckName    | 'door' or 'treasure'.                                                 |
+        | nextId      | An object holding the next card ID, shared between decks so every    |
+        |             | card in a room has a unique ID.                                       |
+    */
+    constructor(definitions, deckName, nextId = { value: 0 })
+    {
+        this.name        = deckName;
+        this.drawPile    = [];
+        this.discardPile = [];
+
+        definitions.forEach
+        (
+            def =>
+            {
+                for (let i = 0; i < (def.count || 1); ++i)
+                    this.drawPile.push({ ...def, id: nextId.value++, deck: deckName });
+            }
+        );
+
+        shuffle(this.drawPile);
+    }
+
+    // Take the top card, or null if both piles are empty.
+    draw()
+    {
+        if (this.drawPile.length === 0)
+        {
+            this.drawPile    = shuffle(this.discardPile);
+            this.discardPile = [];
+        }
+
+        return this.drawPile.pop() || null;
+    }
+
+    // Put a card face up on the discard pile.
+    discard(card)
+    {
+        this.discardPile.push(card);
+    }
+
+    // The card on top of the discard pile, or null if it is empty.
+    getTopDiscard()
+    {
+        return this.discardPile.length > 0 ? this.discardPile[this.discardPile.length - 1] : null;
+    }
+
+    getDrawCount()
+    {
+        return this.drawPile.length;
+    }
+
+    getDiscardCount()
+    {
+        return this.discardPile.length;
+    }
+}
+
+// Shuffle the array in place and return it.
+function shuffle(array)
+{
+    for (let i = array.length - 1; i > 0; --i)
+    {
+        let j    = Math.floor(Math.random() * (i + 1));
+        let tmp  = array[i];
+        array[i] = array[j];
+        array[j] = tmp;
+    }
+
+    return array;
+}
+
+module.exports         = Deck;
+module.exports.shuffle = shuffle;
@@ -0,0 +1,291 @@
+const fs   = require('fs');
+const path = require('path');
+
+/*
+    Loads Munchkin card definitions from JSON files.
+
+    Every .json file in the cards directory is a card set (the base game
+    or an expansion):
+    {
+        "name" : "Munchkin base set",
+        "cards": [ { "name": "Potted Plant", "type": "monster", ... }, ... ]
+    }
+
+    Every card has a name, a type and an optional count (how many copies go
+    into the deck, default 1) and description. The type decides which deck
+    the card goes into and which other fields it has; see cardSchemas below.
+    Unknown fields are rejected so typos don't silently do nothing.
+*/
+
+// Card types that go into the door deck and the treasure deck.
+const doorTypes     = ['monster', 'curse', 'race', 'class'];
+const treasureTypes = ['item', 'one-shot', 'level-up'];
+
+const itemSlots = ['headgear', 'armor', 'footgear', 'hands', 'none'];
+
+// The fields of a curse effect or a monster's bad stuff.
+const effectSchema =
+{
+    levels   : { type: 'integer', min: 0 },
+    loseItem : { type: 'string',  values: itemSlots.filter(s => s !== 'none').concat(['any', 'all']) },
+    loseRace : { type: 'boolean' },
+    loseClass: { type: 'boolean' },
+    death    : { type: 'boolean' }
+};
+
+// The fields each card type has, on top of name, type, count and description.
+const cardSchemas =
+{
+    'monster':
+    {
+        level    : { type: 'integer', min: 1, required: true },
+        treasures: { type: 'integer', min: 1, required: true },
+        levels   : { type: 'integer', min: 1 },
+        badStuff : { type: 'object',  schema: effectSchema, required: true }
+    },
+    'curse':
+    {
+        effect: { type: 'object', schema: effectSchema, required: true }
+    },
+    'race':
+    {
+        runAwayBonus  : { type: 'integer' },
+        handLimitBonus: { type: 'integer' },
+        combatBonus   : { type: 'integer' },
+        winsTies      : { type: 'boolean' }
+    },
+    'class':
+    {
+        runAwayBonus  : { type: 'integer' },
+        handLimitBonus: { type: 'integer' },
+        combatBonus   : { type: 'integer' },
+        winsTies      : { type: 'boolean' }
+    },
+    'item':
+    {
+        slot         : { type: 'string',  values: itemSlots, required: true },
+        bonus        : { type: 'integer', required: true },
+        hands        : { type: 'integer', min: 1, max: 2 },
+        big          : { type: 'boolean' },
+        value        : { type: 'integer', min: 0 },
+        requiresRace : { type: 'string' },
+        requiresClass: { type: 'string' }
+    },
+    'one-shot':
+    {
+        bonus: { type: 'integer', required: true },
+        value: { type: 'integer', min: 0 }
+    },
+    'level-up':
+    {
+        levels: { type: 'integer', min: 1 }
+    }
+};
+
+const commonSchema =
+{
+    name       : { type: 'string',  required: true },
+    type       : { type: 'string',  required: true, values: Object.keys(cardSchemas) },
+    count      : { type: 'integer', min: 1 },
+    description: { type: 'string' }
+};
+
+// An error that lists every problem found in the card files.
+class CardValidationError extends Error
+{
+    constructor(problems)
+    {
+        super(`Invalid card definitions:\n  ${problems.join('\n  ')}`);
+        this.name     = 'CardValidationError';
+        this.problems = problems;
+    }
+}
+
+// Return a promise that resolves with the cards in every card set in the
+// given directory, split into decks:
+/**
+ * {
+ *  sets         : string[], the names of the loaded card sets
+ *  doorCards    : card definitions for the door deck,
+ *  treasureCards: card definitions for the treasure deck
+ * }
+ */
+// Rejects with a CardValidationError listing every invalid card.
+function loadCards(directory = path.join(__dirname, 'cards'))
+{
+    return fs.promises.readdir(directory)
+    .then
+    (
+        files =>
+        {
+            files = files.filter(f => path.extname(f).toLowerCase() === '.json').sort();
+            return Promise.all
+            (
+                files.map
+                (
+                    f => fs.promises.readFile(path.join(directory, f), 'utf8')
+                        .then(text => ({ fileName: f, text: text }))
+                )
+            );
+        }
+    )
+    .then(files => parseCardSets(files));
+}
+
+// Validate and sort the cards from the given files ({fileName, text}).
+function parseCardSets(files)
+{
+    let problems = [];
+    let sets     = [];
+    let cards    = [];
+    let seen     = {};
+
+    files.forEach
+    (
+        ({ fileName, text }) =>
+        {
+            let cardSet;
+            try
+            {
+                cardSet = JSON.parse(text);
+            }
+            catch (e)
+            {
+                problems.push(`${fileName}: not valid JSON (${e.message})`);
+                return;
+            }
+
+            if (!cardSet || !Array.isArray(cardSet.cards))
+            {
+                problems.push(`${fileName}: missing the "cards" array`);
+                return;
+            }
+
+            sets.push(cardSet.name || fileName);
+
+            cardSet.cards.forEach
+            (
+                (card, i) =>
+                {
+                    let where = `${fileName}, card ${i + 1}${card && typeof card.name === 'string' ? ` (${card.name})` : ''}`;
+                    let cardProblems = validateCard(card);
+
+                    if (cardProblems.length === 0 && card.name in seen)
+                        cardProblems.push(`duplicate card name; already defined in ${seen[card.name]}`);
+
+                    if (cardProblems.length > 0)
+                    {
+                        cardProblems.forEach(p => problems.push(`${where}: ${p}`));
+                        return;
+                    }
+
+                    seen[card.name] = fileName;
+                    cards.push(card);
+                }
+            );
+        }
+    );
+
+    // Items can only require races and classes that exist.
+    let raceNames  = cards.filter(c => c.type === 'race').map(c => c.name).concat(['Human']);
+    let classNames = cards.filter(c => c.type === 'class').map(c => c.name);
+    cards.forEach
+    (
+        card =>
+        {
+            if (card.requiresRace && !raceNames.includes(card.requiresRace))
+                problems.push(`${seen[card.name]} (${card.name}): requiresRace names unknown race '${card.requiresRace}'`);
+            if (card.requiresClass && !classNames.includes(card.requiresClass))
+                problems.push(`${seen[card.name]} (${card.name}): requiresClass names unknown class '${card.requiresClass}'`);
+        }
+    );
+
+    if (problems.length > 0)
+        throw new CardValidationError(problems);
+
+    return {
+        sets         : sets,
+        doorCards    : cards.filter(c => doorTypes.includes(c.type)),
+        treasureCards: cards.filter(c => treasureTypes.includes(c.type))
+    };
+}
+
+// Return a list of everything wrong with the card definition.
+function validateCard(card)
+{
+    if (!card || typeof card !== 'object' || Array.isArray(card))
+        return ['not an object'];
+
+    let problems = validateFields(card, commonSchema, '');
+    if (problems.length > 0) return problems;
+
+    let schema = cardSchemas[card.type];
+    let fields = Object.assign({}, commonSchema, schema);
+
+    problems = validateFields(card, schema, '');
+    Object.keys(card)
+        .filter(key => !(key in fields))
+        .forEach(key => problems.push(`unknown field '${key}' for card type '${card.type}'`));
+
+    if (card.type === 'item' && card.hands !== undefined && card.slot !== 'hands')
+        problems.push('only items in the hands slot can use \'hands\'');
+
+    return problems;
+}
+
+// Check the object's fields against the schema. prefix is prepended to field names
+// in the messages so nested fields read like 'badStuff.levels'.
+function validateFields(object, schema, prefix)
+{
+    let problems = [];
+
+    for (let key in schema)
+    {
+        let rule  = schema[key];
+        let value = object[key];
+        let name  = prefix + key;
+
+        if (value === undefined)
+        {
+            if (rule.required) problems.push(`missing required field '${name}'`);
+            continue;
+        }
+
+        if (rule.type === 'integer')
+        {
+            if (!Number.isInteger(value))                       problems.push(`'${name}' must be a whole number`);
+            else if (rule.min !== undefined && value < rule.min) problems.push(`'${name}' must be at least ${rule.min}`);
+            else if (rule.max !== undefined && value > rule.max) problems.push(`'${name}' must be at most ${rule.max}`);
+        }
+        else if (rule.type === 'object')
+        {
+            if (!value || typeof value !== 'object' || Array.isArray(value))
+            {
+                problems.push(`'${name}' must be an object`);
+            }
+            else
+            {
+                problems = problems.concat(validateFields(value, rule.schema, name + '.'));
+                Object.keys(value)
+                    .filter(k => !(k in rule.schema))
+                    .forEach(k => problems.push(`unknown field '${name}.${k}'`));
+            }
+        }
+        else if (typeof value !== rule.type)
+        {
+            problems.push(`'${name}' must be a ${rule.type}`);
+        }
+        else if (rule.values && !rule.values.includes(value))
+        {
+            problems.push(`'${name}' must be one of: ${rule.values.join(', ')}`);
+        }
+    }
+
+    return problems;
+}
+
+module.exports.loadCards           = loadCards;
+module.exports.parseCardSets       = parseCardSets;
+module.exports.CardValidationError = CardValidationError;
+module.exports.doorTypes           = doorTypes;
+module.exports.treasureTypes       = treasureTypes;
@@ -0,0 +1,118 @@
+/*
+    Chat messages and the word filter every room's chat goes through.
+
+    Every chat message sent to clients looks like this:
+*/
+/**
+ * {
+ *  type    : 'user', 'system' or 'whisper',
+ *  nickname: string, who sent it (null for system messages),
+ *  to      : string, who a whisper was sent to (null otherwise),
+ *  message : string,
+ *  sentAt  : ISO date string
+ * }
+ */
+
+// The kinds of chat message.
+const messageType =
+{
+    USER   : 'user',    // Said by a user to everyone in the room.
+    SYSTEM : 'system',  // Sent by the server, e.g. when someone joins.
+    WHISPER: 'whisper'  // Said by a user to one other user.
+};
+
+const chatSettings =
+{
+    // How many recent messages each room keeps to show people who join.
+    historyLength: 50,
+
+    // Words that are starred out of user messages. Matching ignores case
+    // and only catches whole words, so 'class' is safe from 'ass'.
+    filteredWords: ['ass', 'asshole', 'bastard', 'bitch', 'bullshit', 'crap', 'damn', 'dick', 'fuck', 'fucking', 'piss', 'shit', 'slut', 'whore'],
+
+    // What each letter of a filtered word is replaced with.
+    filterCharacter: '*'
+};
+
+// Built from filteredWords by setFilteredWords().
+let filterPattern = null;
+
+// Replace the filtered words.
+function setFilteredWords(words)
+{
+    chatSettings.filteredWords = words.slice();
+
+    let escaped   = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    filterPattern = escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+}
+
+// Return the text with every filtered word starred out.
+function filterText(text)
+{
+    if (!filterPattern) return text;
+    return text.replace(filterPattern, word => chatSettings.filterCharacter.repeat(word.length));
+}
+
+// Make a message said by the given user. The text is filtered.
+function makeUserMessage(user, text)
+{
+    return makeMessage(messageType.USER, user.nickname, null, filterText(text));
+}
+
+// Make a whisper from one user to another. The text is filtered.
+function makeWhisper(from, to, text)
+{
+    return makeMessage(messageType.WHISPER, from.nickname, to.nickname, filterText(text));
+}
+
+function makeSystemMessage(text)
+{
+    return makeMessage(messageType.SYSTEM, null, null, text);
+}
+
+function makeMessage(type, nickname, to, text)
+{
+    return {
+        type    : type,
+        nickname: nickname,
+        to      : to,
+        message : text,
+        sentAt  : new Date().toISOString()
+    };
+}
+
+/*
+    The most recent messages in a room, oldest first. Once it holds
+    chatSettings.historyLength messages, the oldest is dropped for
+    each new one.
+*/
+class ChatHistory
+{
+    constructor()
+    {
+        this.messages = [];
+    }
+
+    add(message)
+    {
+        this.messages.push(message);
+        if (this.messages.length > chatSettings.historyLength)
+            this.messages.splice(0, this.messages.length - chatSettings.historyLength);
+    }
+
+    getMessages()
+    {
+        return this.messages.slice();
+    }
+}
+
+setFilteredWords(chatSettings.filteredWords);
+
+module.exports.messageType       = messageType;
+module.exports.chatSettings      = chatSettings;
+module.exports.setFilteredWords  = setFilteredWords;
+module.exports.filterText        = filterText;
+module.exports.makeUserMessage   = makeUserMessage;
+module.exports.makeWhisper       = makeWhisper;
+module.exports.makeSystemMessage = makeSystemMessage;
+module.exports.ChatHistory       = ChatHistory;
@@ -0,0 +1,242 @@
+const fs         = require('fs');
+const path       = require('path');
+const yaml       = require('js-yaml');
+const validation = require('./validation');
+
+/*
+    The server's settings. They are read from config.json next to index.js,
+    or from the JSON or YAML file named by CONFIG_FILE, and the environment
+    variables in environmentSettings override what the file says. Every
+    setting the file leaves out has its default; config.example.yaml lists
+    them all. Relative paths are taken from the server's directory.
+*/
+
+const DEFAULT_FILE = path.join(__dirname, 'config.json');
+
+// A group of settings. It can be left out, since all of its settings have
+// defaults, but it can't have settings the server doesn't know.
+function section(fields)
+{
+    return { type: 'object', strict: true, default: {}, fields: fields };
+}
+
+// A room made at startup has the settings 'create room' takes, but it is
+// always a trivia room.
+const { gameType, ...presetFields } = validation.roomInfoRule.fields;
+const presetRule = { type: 'object', strict: true, fields: presetFields };
+
+// The rules for each setting at the top of the file.
+const settingRules =
+{
+    port     : { type: 'integer', min: 1, max: 65535, default: 3000 },
+    dataDir  : { type: 'string', minLength: 1, default: 'data' }, // Player accounts, leaderboards and saved rooms.
+    staticDir: { type: 'string', minLength: 1, default: '.' },    // Served over HTTP, index.html included.
+    redisUrl : { type: 'string', minLength: 1, nullable: true },  // null keeps the shared state in memory.
+    opentdb  : section
+    ({
+        url                   : { type: 'string',  minLength: 1, default: 'https://opentdb.com' },
+
+        // OpenTDB wants 5 seconds between requests. 0 is only for tests
+        // against a mock; request-scheduler.js still backs off for at
+        // least a second when turned away.
+        requestIntervalSeconds: { type: 'integer', min: 0, max: 60, default: 5 },
+        maxBackoffSeconds     : { type: 'integer', min: 1, max: 3600, default: 60 }
+    }),
+    trivia: section
+    ({
+        intermissionSeconds: { type: 'integer', min: 0, max: 60, default: 5 },
+        retrySeconds       : { type: 'integer', min: 1, max: 3600, default: 5 },
+        maxRetrySeconds    : { type: 'integer', min: 1, max: 3600, default: 120 },
+        restoreGraceSeconds: { type: 'integer', min: 1, max: 3600, default: 60 }
+    }),
+    rooms: { type: 'array', items: presetRule, default: [{ name: 'The Any Room', canSkipQuestions: true }] },
+    admin: section
+    ({
+        // What admins send to use the admin section; null turns it off.
+        token: { type: 'string', minLength: 16, maxLength: 256, nullable: true }
+    })
+};
+
+// Pairs of settings where the first can't be more than the second.
+const orderedSettings =
+[
+    [['opentdb', 'requestIntervalSeconds'], ['opentdb', 'maxBackoffSeconds']],
+    [['trivia',  'retrySeconds'],           ['trivia',  'maxRetrySeconds']]
+];
+
+// The environment variables that override settings, and where each
+// setting is.
+const environmentSettings =
+{
+    PORT                            : ['port'],
+    DATA_DIR                        : ['dataDir'],
+    STATIC_DIR                      : ['staticDir'],
+    REDIS_URL                       : ['redisUrl'],
+    OPENTDB_URL                     : ['opentdb', 'url'],
+    OPENTDB_REQUEST_INTERVAL_SECONDS: ['opentdb', 'requestIntervalSeconds'],
+    OPENTDB_MAX_BACKOFF_SECONDS     : ['opentdb', 'maxBackoffSeconds'],
+    TRIVIA_INTERMISSION_SECONDS     : ['trivia', 'intermissionSeconds'],
+    TRIVIA_RETRY_SECONDS            : ['trivia', 'retrySeconds'],
+    TRIVIA_MAX_RETRY_SECONDS        : ['trivia', 'maxRetrySeconds'],
+    TRIVIA_RESTORE_GRACE_SECONDS    : ['trivia', 'restoreGraceSeconds'],
+    ADMIN_TOKEN                     : ['admin', 'token']
+};
+
+// Thrown by load() when the settings can't be read or break a rule. The
+// message says which setting is wrong and why, e.g.
+// "Invalid config (config.yaml): trivia.retrySeconds must be at least 1."
+class ConfigError extends Error {}
+
+// The settings load() read last, and the file it read them from; see
+// get() and getFile().
+let current     = null;
+let currentFile = null;
+
+// Read the settings from filePath (by default, the file CONFIG_FILE names
+// or config.json), apply the overrides in env and check them. The default
+// file may be missing, in which case only the defaults and env count; a
+// file asked for by name may not. Returns the settings, which get()
+// returns from then on. Throws a ConfigError if anything is wrong.
+function load(filePath = null, env = process.env)
+{
+    filePath = filePath || env.CONFIG_FILE || null;
+
+    let file     = filePath || DEFAULT_FILE;
+    let settings = check(readFile(file, filePath !== null), path.basename(file));
+
+    for (let name in environmentSettings)
+    {
+        if (env[name]) override(settings, environmentSettings[name], env[name], name);
+    }
+
+    // The file's settings agree with each other (see check()), so if these
+    // don't, an override is to blame.
+    withSource('environment', () => checkOrder(settings));
+
+    settings.dataDir   = path.resolve(__dirname, settings.dataDir);
+    settings.staticDir = path.resolve(__dirname, settings.staticDir);
+
+    current     = settings;
+    currentFile = path.resolve(file);
+    return settings;
+}
+
+// The current settings. If load() hasn't been called, they are loaded
+// from the default file and the environment.
+function get()
+{
+    if (!current) load();
+    return current;
+}
+
+// The full path of the config file the settings were read from, whether
+// or not it exists.
+function getFile()
+{
+    get();
+    return currentFile;
+}
+
+// Return what the file says, or an empty object if it is missing and
+// not required.
+function readFile(filePath, required)
+{
+    let text = null;
+    try
+    {
+        text = fs.readFileSync(filePath, 'utf8');
+    }
+    catch (error)
+    {
+        if (error.code === 'ENOENT' && !required) return {};
+        throw new ConfigError(`Could not read the config file: ${error.message}`);
+    }
+
+    let isYaml = /\.ya?ml$/i.test(filePath);
+    try
+    {
+        // An empty YAML file holds nothing rather than an empty object.
+        let settings = isYaml ? yaml.load(text) : JSON.parse(text);
+        return settings === undefined || settings === null ? {} : settings;
+    }
+    catch (error)
+    {
+        throw new ConfigError(`Invalid config (${path.basename(filePath)}): not valid ${isYaml ? 'YAML' : 'JSON'}. ${error.message}`);
+    }
+}
+
+// Check the settings read from source against settingRules and return
+// them with the defaults filled in.
+function check(settings, source)
+{
+    return withSource
+    (
+        source, () =>
+        {
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings))
+                throw new validation.ValidationError('the settings must be an object.');
+
+            let unknown = Object.keys(settings).find(name => !settingRules.hasOwnProperty(name));
+            if (unknown !== undefined) throw new validation.ValidationError(`${unknown} is not a known setting.`);
+
+            let result = {};
+            for (let name in settingRules)
+                result[name] = validation.checkValue(settingRules[name], settings[name], name);
+
+            checkOrder(result);
+            return result;
+        }
+    );
+}
+
+// Throw a ValidationError if any pair in orderedSettings is the wrong way
+// round.
+function checkOrder(settings)
+{
+    orderedSettings.forEach
+    (
+        ([lower, upper]) =>
+        {
+            let low  = settings[lower[0]][lower[1]];
+            let high = settings[upper[0]][upper[1]];
+
+            if (low > high)
+                throw new validation.ValidationError(`${upper.join('.')} must be at least ${lower.join('.')} (${low}).`);
+        }
+    );
+}
+
+// Set the setting at settingPath to the text of the environment variable
+// called name, once it is checked.
+function override(settings, settingPath, text, name)
+{
+    let [group, field] = settingPath.length === 2 ? settingPath : [null, settingPath[0]];
+    let target         = group ? settings[group] : settings;
+    let rule           = group ? settingRules[group].fields[field] : settingRules[field];
+
+    // Numbers come as text. Anything that doesn't look like one is left
+    // as it is, so the error says what is wrong with it.
+    let value = rule.type === 'integer' && /^\s*-?\d+\s*$/.test(text) ? Number(text) : text;
+
+    target[field] = withSource('environment', () => validation.checkValue(rule, value, name));
+}
+
+// Call checkSettings and return what it returns, turning a ValidationError
+// into a ConfigError that says where the bad setting came from.
+function withSource(source, checkSettings)
+{
+    try
+    {
+        return checkSettings();
+    }
+    catch (error)
+    {
+        if (!(error instanceof validation.ValidationError)) throw error;
+        throw new ConfigError(`Invalid config (${source}): ${error.message}`);
+    }
+}
+
+module.exports.load        = load;
+module.exports.get         = get;
+module.exports.getFile     = getFile;
+module.exports.ConfigError = ConfigError;
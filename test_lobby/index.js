@@ -1,36 +1,206 @@
-const express    = require('express');
-const app        = express();
-const http       = require('http').createServer(app);
-const io         = require('socket.io')(http);
-const user       = require('./user');
-const trivia     = require('./trivia-room');
-const Lobby      = require('./lobby');
-const questions  = require('./question-source');
-
-// Serve static files from the current working directory.
-app.use(express.static('.'));
+const path         = require('path');
+const express      = require('express');
+const app          = express();
+const http         = require('http').createServer(app);
+const io           = require('socket.io')(http);
+const user         = require('./user');
+const trivia       = require('./trivia-room');
+const Lobby        = require('./lobby');
+const questions    = require('./question-source');
+const munchkin     = require('./munchkin-room');
+const accounts     = require('./accounts');
+const leaderboards = require('./leaderboards');
+const validation   = require('./validation');
+const rateLimit    = require('./rate-limit');
+const state        = require('./state-store');
+const redisAdapter = require('socket.io-redis');
+const snapshot     = require('./snapshot');
+const config       = require('./config');
+const bans         = require('./bans');
+const admin        = require('./admin');
+
+// Read the settings (see config.js). The tests set the port, the data
+// directory and the OpenTDB address through the environment so they can
+// run a server of their own.
+let settings = null;
+try
+{
+    settings = config.load();
+}
+catch (error)
+{
+    if (!(error instanceof config.ConfigError)) throw error;
+
+    console.log(error.message);
+    process.exit(1);
+}
+
+// Where the rooms under way are saved when the server shuts down.
+const SNAPSHOT_PATH = path.join(settings.dataDir, 'rooms.json');
+
+// With redisUrl set (e.g. redis://localhost:6379), several instances of
+// the server can run side by side: they share their state through Redis,
+// and socket.io passes broadcasts between them, so the lobby chat and
+// every room reach their users whichever instance they are connected to.
+// Players can only join rooms on their own instance, so each instance's
+// lobby only lists its own rooms.
+const REDIS_URL = settings.redisUrl;
+if (REDIS_URL)
+{
+    io.adapter(redisAdapter(REDIS_URL));
+
+    // The adapter reconnects by itself; an unhandled error would end the process.
+    io.of('/').adapter.on('error', error => console.log(`Redis adapter error: ${error.message}`));
+}
+
+// The static directory is the server's own by default, so keep the config
+// file (which may hold the admin token) and the player data out of it.
+const privatePaths = [config.getFile(), settings.dataDir];
+app.use
+(
+    (req, res, next) =>
+    {
+        // Paths are matched the way express.static finds files: decoded.
+        let filePath = null;
+        try
+        {
+            filePath = path.join(settings.staticDir, decodeURIComponent(req.path));
+        }
+        catch (error)
+        {
+            return next();
+        }
+
+        if (privatePaths.some(p => filePath === p || filePath.startsWith(p + path.sep))) return res.sendStatus(404);
+        next();
+    }
+);
+
+// Serve the client and any other static files.
+app.use(express.static(settings.staticDir));
+
+// Leaderboards as JSON, e.g. /api/leaderboard?period=week&difficulty=hard&limit=20
+app.get
+(
+    '/api/leaderboard', (req, res) =>
+    {
+        let period = req.query.period === leaderboards.period.WEEKLY 
+            ? leaderboards.period.WEEKLY 
+            : leaderboards.period.ALL_TIME;
+
+        res.json
+        (
+            {
+                period    : period,
+                category  : req.query.category || null,
+                difficulty: req.query.difficulty || null,
+                entries   : leaderboards.getLeaderboard
+                (
+                    period, 
+                    req.query.category || null, 
+                    req.query.difficulty || null, 
+                    parseInt(req.query.limit, 10)
+                )
+            }
+        );
+    }
+);
 
 // Initialize the User Module.
 user.init(io);
 
-// Initialize the question source module.
-questions.init()
+// Connect to the shared state store, then initialize the question source
+// module, then the Munchkin cards.
+state.init(REDIS_URL)
+.then(_ => questions.init())
 .then
 (
     _ =>
     {
         console.log("Question categories loaded.");
+
+        // Load and validate the Munchkin cards.
+        return munchkin.init();
+    }
+)
+.then
+(
+    cardSets =>
+    {
+        console.log(`Munchkin cards loaded: ${cardSets.join(', ')}.`);
+
+        // Load the registered player accounts, the leaderboards and the bans.
+        return Promise.all
+        ([
+            accounts.init(path.join(settings.dataDir, 'accounts.json')), 
+            leaderboards.init(path.join(settings.dataDir, 'leaderboards.json')),
+            bans.init(path.join(settings.dataDir, 'bans.json'))
+        ]);
+    }
+)
+.then
+(
+    _ =>
+    {
+        console.log("Player accounts, leaderboards and bans loaded.");
         let lobby = new Lobby(io);
-        
-        // Create a basic room.
-        let room = trivia.makeNewRoom(io, 'The Any Room', false);
-        room.config.canSkipQuestions = true;
+
+        // Bring back the rooms that were under way when the server last shut down.
+        return snapshot.restore(SNAPSHOT_PATH, io)
+        .then
+        (
+            count =>
+            {
+                if (count > 0) console.log(`Restored ${count} room(s); waiting for their players.`);
+                return lobby;
+            }
+        );
+    }
+)
+.then
+(
+    lobby =>
+    {
+        // Rooms only keep their passwords hashed, so the preset rooms'
+        // passwords are hashed before they are made.
+        return Promise.all
+        (
+            settings.rooms.map
+            (
+                preset => user.hashRoomPassword(preset.password).then(password => ({ ...preset, password: password }))
+            )
+        )
+        .then(presets => ({ lobby: lobby, presets: presets }));
+    }
+)
+.then
+(
+    ({ lobby, presets }) =>
+    {
+        // Open the rooms the config asks for; by default, The Any Room.
+        let rooms = trivia.makePresetRooms(io, presets);
+        console.log(`Opened ${rooms.length} room(s) from the config.`);
+
+        // The admin section only exists with an admin token to guard it.
+        if (settings.admin.token)
+        {
+            app.use('/admin', admin.makeRouter(lobby, settings.admin.token));
+            console.log('Admin dashboard at /admin.');
+        }
+
+        // Turn away banned addresses before they get a user.
+        io.use(bans.checkConnection);
 
         io.on
         (
             'connection', 
             (socket) => 
             {
+                // Drop events sent too often, then check every event's
+                // arguments before the handlers see them.
+                socket.use(rateLimit.limitEvents(socket));
+                socket.use(validation.validateEvent);
+
                 let newUser = new user.User(socket, '', lobby);
                 user.allUsers.push(newUser);
                 newUser.socket.emit('need nickname');
@@ -38,7 +208,36 @@ questions.init()
             }
         );
         
-        console.log('Trivia server active on port 3000.');
-        http.listen(3000);
+        http.listen(settings.port, () => console.log(`Trivia server active on port ${settings.port}.`));
     }
 ).catch(error => console.log(error));
+
+// On SIGTERM (or Ctrl+C), stop taking new rooms, warn everyone, save the
+// rooms under way so the next start can restore them, and write out
+// anything the player data hasn't saved yet before exiting.
+let shuttingDown = false;
+function shutDown(signal)
+{
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.log(`${signal} received; shutting down.`);
+    user.stopAcceptingRooms();
+    http.close();
+
+    /**
+     * 'server shutting down' comes with nothing. Users in trivia rooms can
+     * take their place back by resuming their session once it is up again.
+     */
+    io.emit('server shutting down');
+
+    snapshot.save(SNAPSHOT_PATH, 'The server is restarting. You\'ll carry on where you left off once it\'s back.')
+    .then(count => console.log(`Saved ${count} room(s).`))
+    .then(() => Promise.all([accounts.flush(), leaderboards.flush(), bans.flush()]))
+    .then(() => state.close())
+    .catch(error => console.log(`Could not shut down cleanly: ${error.message}`))
+    .then(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutDown('SIGTERM'));
+process.on('SIGINT',  () => shutDown('SIGINT'));
@@ -0,0 +1,79 @@
+const fs   = require('fs');
+const path = require('path');
+
+/*
+    Keeps a JSON document in memory and persists it to a file on disk.
+    Writes are batched: save() schedules a write shortly after the last
+    change, and the file is replaced atomically so a crash mid-write
+    never leaves a half-written file behind.
+*/
+class JsonFileStore
+{
+    /*
+        | filePath    | Where the document is stored.                           |
+        | defaultData | The document to start with if the file doesn't exist.   |
+        | saveDelayMs | How long to wait after a change before writing the file. |
+    */
+    constructor(filePath, defaultData = {}, saveDelayMs = 1000)
+    {
+        this.filePath    = filePath;
+        this.data        = defaultData;
+        this.saveDelayMs = saveDelayMs;
+        this.saveTimerId = null;
+    }
+
+    // Read the file. Returns a Promise that resolves with the data once it
+    // is loaded. A missing file isn't an error; the default data is kept.
+    load()
+    {
+        return fs.promises.readFile(this.filePath, 'utf8')
+        .then
+        (
+            text =>
+            {
+                this.data = JSON.parse(text);
+                return this.data;
+            }
+        )
+        .catch
+        (
+            error =>
+            {
+                if (error.code === 'ENOENT') return this.data;
+                throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+            }
+        );
+    }
+
+    // Schedule the data to be written to disk.
+    save()
+    {
+        if (this.saveTimerId) return;
+
+        this.saveTimerId = setTimeout
+        (
+            () =>
+            {
+                this.saveTimerId = null;
+                this.flush().catch(error => console.log(`Could not write ${this.filePath}: ${error.message}`));
+            },
+            this.saveDelayMs
+        );
+    }
+
+    // Write the data to disk right away. Returns a Promise that resolves
+    // once the file has been replaced.
+    flush()
+    {
+        clearTimeout(this.saveTimerId);
+        this.saveTimerId = null;
+
+        let tmpPath = `${this.filePath}.tmp`;
+
+        return fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+            .then(() => fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 4)))
+            .then(() => fs.promises.rename(tmpPath, this.filePath));
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,177 @@
+const path          = require('path');
+const trivia        = require('./trivia-room');
+const JsonFileStore = require('./json-store');
+
+// Where finished game results are stored.
+let store = null;
+
+// The leaderboard periods.
+const period =
+{
+    ALL_TIME: 'all',
+    WEEKLY  : 'week'
+};
+
+// How many results to keep on disk. Once there are more, the worst
+// results from before the current week are dropped first.
+const MAX_ENTRIES = 10000;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT     = 100;
+
+// Returns a Promise that resolves when the leaderboard file has been read.
+// Every finished trivia game is recorded from then on, and each player is
+// told where they placed.
+function init(filePath = path.join(__dirname, 'data', 'leaderboards.json'))
+{
+    store = new JsonFileStore(filePath, { entries: [] });
+
+    trivia.triviaEventEmitter.on
+    (
+        trivia.events.GAME_OVER,
+        (room, rankedStats) => recordGame(room, rankedStats)
+    );
+
+    return store.load();
+}
+
+// Add every player's final stats to the leaderboards and tell each of
+// them where they placed.
+function recordGame(room, rankedStats)
+{
+    let category   = room.config.hasCategory()   ? room.config.category.name : null;
+    let difficulty = room.config.hasDifficulty() ? room.config.difficulty    : null;
+    let finishedAt = new Date().toISOString();
+
+    let added = rankedStats.map
+    (
+        stats =>
+        ({
+            nickname      : stats.nickname,
+            points        : stats.points,
+            questionsRight: stats.questionsRight,
+            questionsWrong: stats.questionsWrong,
+            category      : category,
+            difficulty    : difficulty,
+            finishedAt    : finishedAt
+        })
+    );
+
+    store.data.entries.push(...added);
+
+    room.users.forEach
+    (
+        user =>
+        {
+            let entry = added.find(e => e.nickname === user.nickname);
+            if (!entry) return;
+
+            user.socket.emit
+            (
+                'leaderboard placement',
+                {
+                    category  : category,
+                    difficulty: difficulty,
+                    allTime   : getRank(entry, period.ALL_TIME, category, difficulty),
+                    weekly    : getRank(entry, period.WEEKLY,   category, difficulty)
+                }
+            );
+        }
+    );
+
+    // Trimming comes after the placements, which may be among the results
+    // it drops.
+    trimEntries();
+    store.save();
+}
+
+// Return the top results for the given period ('all' or 'week'), optionally
+// only from games played in one category and/or difficulty. Each result is:
+/**
+ * {
+ *  rank          : number, starting at 1
+ *  nickname      : string,
+ *  points        : number,
+ *  questionsRight: number,
+ *  questionsWrong: number,
+ *  category      : string or null (any category),
+ *  difficulty    : string or null (any difficulty),
+ *  finishedAt    : ISO date string
+ * }
+ */
+function getLeaderboard(boardPeriod = period.ALL_TIME, category = null, difficulty = null, limit = DEFAULT_LIMIT)
+{
+    if (!Number.isInteger(limit) || limit < 1) limit = DEFAULT_LIMIT;
+    limit = Math.min(limit, MAX_LIMIT);
+
+    return getBoardEntries(boardPeriod, category, difficulty)
+        .slice(0, limit)
+        .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+// Write any results not yet saved to disk. Returns a Promise that
+// resolves once they are written.
+function flush()
+{
+    return store ? store.flush() : Promise.resolve();
+}
+
+// Return the entries that belong on the given board, best first.
+function getBoardEntries(boardPeriod, category, difficulty)
+{
+    if (!store) return [];
+
+    let since = boardPeriod === period.WEEKLY ? getStartOfWeek().toISOString() : '';
+
+    return store.data.entries
+        .filter(e => e.finishedAt >= since)
+        .filter(e => !category   || e.category   === category)
+        .filter(e => !difficulty || e.difficulty === difficulty)
+        .sort(compareEntries);
+}
+
+// Return the 1-based place of the entry on the given board.
+function getRank(entry, boardPeriod, category, difficulty)
+{
+    return getBoardEntries(boardPeriod, category, difficulty).indexOf(entry) + 1;
+}
+
+// Best score first; ties go to the earlier result.
+function compareEntries(a, b)
+{
+    let result = trivia.compareStats(a, b);
+    if (result !== 0) return result;
+
+    return a.finishedAt < b.finishedAt ? -1 : (a.finishedAt > b.finishedAt ? 1 : 0);
+}
+
+// Keep the number of stored results under MAX_ENTRIES, dropping the worst
+// results from before this week first, then the worst from this week.
+function trimEntries()
+{
+    let entries = store.data.entries;
+    if (entries.length <= MAX_ENTRIES) return;
+
+    // Every result in the order it is kept in: this week's best first,
+    // then the older results best first.
+    let weekStart = getStartOfWeek().toISOString();
+    let thisWeek  = entries.filter(e => e.finishedAt >= weekStart).sort(compareEntries);
+    let old       = entries.filter(e => e.finishedAt <  weekStart).sort(compareEntries);
+    let dropped   = new Set(thisWeek.concat(old).slice(MAX_ENTRIES));
+
+    store.data.entries = entries.filter(e => !dropped.has(e));
+}
+
+// Midnight UTC on the most recent Monday.
+function getStartOfWeek()
+{
+    let date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date;
+}
+
+module.exports.init           = init;
+module.exports.getLeaderboard = getLeaderboard;
+module.exports.flush          = flush;
+module.exports.period         = period;
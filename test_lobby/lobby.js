@@ -1,6 +1,20 @@
-const user     = require('./user');
-const trivia   = require('./trivia-room');
-const RoomBase = require('./roombase');
+const user      = require('./user');
+const trivia    = require('./trivia-room');
+const RoomBase  = require('./roombase');
+const questions = require('./question-source');
+const munchkin  = require('./munchkin-room');
+const state     = require('./state-store');
+
+// The state store hash listing every instance's rooms, keyed by room ID.
+// Each instance's lobby only lists its own (see sendRoomListToUser()).
+const ROOMS = 'rooms';
+
+// Every module that creates game rooms the lobby should list.
+const roomModules =
+[
+    { emitter: trivia.triviaEventEmitter,     events: trivia.events   },
+    { emitter: munchkin.munchkinEventEmitter, events: munchkin.events }
+];
 
 class Lobby extends RoomBase
 {
@@ -9,33 +23,55 @@ class Lobby extends RoomBase
         super(ioInstance);
         this.id = 'lobby';
 
-        // When the trivia module creates a new trivia room,
-        // alert the lobby.
-        trivia.triviaEventEmitter.on
-        (
-            trivia.events.NEW_ROOM, (room) =>
-            {
-                this.sendNewRoom(room);
-            }
-        );
+        // People pass through the lobby all the time; saying so would
+        // drown out the chat.
+        this.announceArrivals = false;
 
-        // When the trivia module deletes a trivia room,
-        // alert the lobby.
-        trivia.triviaEventEmitter.on
+        roomModules.forEach
         (
-            trivia.events.DELETE_ROOM, (room) =>
+            ({ emitter, events }) =>
             {
-                this.sendDeleteRoom(room);
-            }
-        );
+                // When a game module creates a new room, list it
+                // and alert the lobby.
+                emitter.on
+                (
+                    events.NEW_ROOM, (room) =>
+                    {
+                        if (!isListed(room)) return;
 
-        // Whenever a room is updated (i.e. player count changes),
-        // alert the lobby.
-        trivia.triviaEventEmitter.on
-        (
-            trivia.events.UPDATE_ROOM, (room) =>
-            {
-                this.sendUpdateRoom(room);
+                        state.set(ROOMS, room.id, makeRoomInfoObject(room))
+                            .catch(error => console.log(`Could not list room ${room.id}: ${error.message}`))
+                            .then(() => this.sendNewRoom(room));
+                    }
+                );
+
+                // When a game module deletes a room, unlist it
+                // and alert the lobby.
+                emitter.on
+                (
+                    events.DELETE_ROOM, (room) =>
+                    {
+                        if (!isListed(room)) return;
+
+                        state.remove(ROOMS, room.id)
+                            .catch(error => console.log(`Could not unlist room ${room.id}: ${error.message}`))
+                            .then(() => this.sendDeleteRoom(room));
+                    }
+                );
+
+                // Whenever a room is updated (i.e. player count changes),
+                // update its listing and alert the lobby.
+                emitter.on
+                (
+                    events.UPDATE_ROOM, (room) =>
+                    {
+                        if (!isListed(room)) return;
+
+                        state.set(ROOMS, room.id, makeRoomInfoObject(room))
+                            .catch(error => console.log(`Could not update the listing of room ${room.id}: ${error.message}`))
+                            .then(() => this.sendUpdateRoom(room));
+                    }
+                );
             }
         );
     }
@@ -54,40 +90,66 @@ class Lobby extends RoomBase
         this.sendLeftLobby(user);
     }
 
-    // Send the room list to the user.
+    // Send a reconnecting user the room list again.
+    reconnectUser(user)
+    {
+        super.reconnectUser(user);
+        this.sendRoomListToUser(user);
+        this.sendEnteredLobby(user);
+    }
+
+    // Send the user the list of rooms on this server instance. Users can
+    // only join rooms on the instance they are connected to, so the rooms
+    // of other instances are left out. Rooms left behind by instances that
+    // have stopped are unlisted on the way. If the list can't be loaded,
+    // the user gets an empty one.
     sendRoomListToUser(user)
     {
-        // Create a list of relevant information of each active trivia room.
-        let response = [];
-        trivia.getRoomIdList().forEach
+        Promise.all([state.getAll(ROOMS), state.getLiveInstances()])
+        .then
         (
-            id => 
-            response.push
-            (
-                makeRoomInfoObject(trivia.getRoomById(id))
-            )
-        );
-        
-        // Send the room list to the user.
-        user.socket.emit('room list', response);
+            ([rooms, liveInstances]) =>
+            {
+                let response = [];
+                for (let id in rooms)
+                {
+                    if (rooms[id].instance === state.instanceId) response.push(rooms[id]);
+
+                    if (!liveInstances.has(rooms[id].instance))
+                        state.remove(ROOMS, id).catch(error => console.log(`Could not unlist room ${id}: ${error.message}`));
+                }
+
+                return response;
+            }
+        )
+        .catch
+        (
+            error =>
+            {
+                console.log(`Could not load the room list: ${error.message}`);
+                return [];
+            }
+        )
+        .then(response => user.socket.emit('room list', response));
     }
 
-    // Tell the users in the lobby that a new room was created.
+    // Tell the users in the lobby that a new room was created. Like the
+    // room list, room changes only go to the lobby on this instance.
     sendNewRoom(room)
     {
-        this.io.to(this.id).emit('new room', makeRoomInfoObject(room));
+        this.io.local.to(this.id).emit('new room', makeRoomInfoObject(room));
     }
 
     // Tell the users in the lobby that a room was deleted.
     sendDeleteRoom(room)
     {
-        this.io.to(this.id).emit('delete room', makeRoomInfoObject(room));
+        this.io.local.to(this.id).emit('delete room', makeRoomInfoObject(room));
     }
 
     // Tell users in the lobby that the given room has been updated.
     sendUpdateRoom(room)
     {
-        this.io.to(this.id).emit('update room', makeRoomInfoObject(room));
+        this.io.local.to(this.id).emit('update room', makeRoomInfoObject(room));
     }
 
     sendEnteredLobby(user)
@@ -101,17 +163,49 @@ class Lobby extends RoomBase
     }
 }
 
+// Unlisted rooms can only be joined by users who know their ID or
+// have an invite link; the lobby never mentions them.
+function isListed(room)
+{
+    return room.config.listed !== false;
+}
+
 // Make the object that will be sent to the client when they need information
-// about the given room.
+// about the given room. instance is the ID of the server instance running it.
 function makeRoomInfoObject(room)
 {
+    if (room.gameType === 'munchkin')
+    {
+        return {
+            id         : room.id,
+            name       : room.name,
+            gameType   : room.gameType,
+            playerCount: room.users.length,
+            maxPlayers : room.config.maxPlayers,
+            hasPassword: !!room.config.password,
+            phase      : room.phase,
+            instance   : state.instanceId
+        };
+    }
+
     let result = 
     {
-        id          : room.id,
-        name        : room.name,
-        playerCount : room.users.length,
-        categoryName: room.config.category ? room.config.category.name : 'Any',
-        difficulty  : room.config.difficulty ? room.config.difficulty : 'Any'
+        id            : room.id,
+        name          : room.name,
+        gameType      : room.gameType,
+        playerCount   : room.getPlayerCount(),
+        spectatorCount: room.spectators.size,
+        categoryName  : room.config.category ? room.config.category.name : 'Any',
+        difficulty    : room.config.difficulty ? room.config.difficulty : 'Any',
+        provider      : room.config.questionProvider || questions.getDefaultProviderName(),
+        scoringMode   : room.config.scoringMode,
+        lateJoin      : room.config.lateJoin,
+        teams         : room.config.teamNames,
+        host          : room.host ? room.host.nickname : null,
+        phase         : room.phase,
+        maxPlayers    : room.config.maxPlayers,
+        hasPassword   : !!room.config.password,
+        instance      : state.instanceId
     };
 
     return result;
@@ -0,0 +1,336 @@
+const fs                   = require('fs');
+const path                 = require('path');
+const { QuestionProvider,
+        NoQuestionsError,
+        makeTriviaQuestion } = require('./question-provider');
+
+/*
+    Supplies questions from question packs stored on disk, so games
+    can run without internet access.
+
+    A pack is either a JSON file:
+    {
+        "name"     : "My pack",
+        "questions":
+        [
+            {
+                "category"         : "Geography",
+                "difficulty"       : "easy",
+                "question"         : "What is the capital of France?",
+                "correct_answer"   : "Paris",
+                "incorrect_answers": ["Lyon", "Marseille", "Nice"]
+            }
+        ]
+    }
+    (a bare array of questions is accepted too), or a CSV file with the header
+    category,difficulty,question,correct_answer,incorrect_answers
+    where incorrect_answers are separated by '|'.
+
+    Questions are multiple choice unless they have a "type" (a "type" column
+    in CSV packs):
+    - "boolean" questions have a correct_answer of "True" or "False".
+    - "text" questions are answered by typing; "accepted_answers" lists other
+      spellings that count. In CSV packs these go in incorrect_answers.
+    - "order" questions list their answers in the right order in
+      "correct_order". In CSV packs these go in correct_answer, separated
+      by '|'.
+
+    Categories are built from the category names found in the packs.
+*/
+class LocalQuestionProvider extends QuestionProvider
+{
+    /*
+        | directory | The directory question packs are read from.                              |
+        | shuffle   | If false, questions are served in pack order and answers aren't shuffled, |
+        |           | which makes the provider deterministic (useful for tests).              |
+    */
+    constructor(directory = path.join(__dirname, 'question-packs'), shuffle = true)
+    {
+        super('local');
+
+        this.directory = directory;
+        this.shuffle   = shuffle;
+        this.questions = [];
+
+        // Maps room IDs to the set of question indices the room has already seen.
+        this.usedQuestions = {};
+    }
+
+    // Read every pack in the directory. Resolves with the category list,
+    // or rejects with an error naming the file and question that is invalid.
+    loadCategories()
+    {
+        if (this.categories.length > 0)
+            return Promise.resolve(this.categories);
+
+        return fs.promises.readdir(this.directory)
+        .then
+        (
+            files =>
+            {
+                files = files.filter(f => ['.json', '.csv'].includes(path.extname(f).toLowerCase())).sort();
+                return Promise.all
+                (
+                    files.map
+                    (
+                        f => fs.promises.readFile(path.join(this.directory, f), 'utf8')
+                            .then(text => parsePack(f, text))
+                    )
+                );
+            }
+        )
+        .then
+        (
+            packs =>
+            {
+                this.questions = [].concat(...packs);
+                this.categories = [];
+
+                // Give each distinct category name an ID.
+                this.questions.forEach
+                (
+                    q =>
+                    {
+                        let category = this.categories.find(c => c.name === q.category);
+                        if (!category)
+                        {
+                            category = {id: this.categories.length + 1, name: q.category};
+                            this.categories.push(category);
+                        }
+                        q.categoryId = category.id;
+                    }
+                );
+
+                console.log(`Loaded ${this.questions.length} local questions from ${this.directory}.`);
+                return this.categories;
+            }
+        );
+    }
+
+    getTriviaQuestionAsync(room, onComplete, onError)
+    {
+        let candidates = this.getCandidateIndices(room);
+
+        if (candidates.length === 0)
+        {
+            setImmediate(() => onError(new NoQuestionsError('No local questions match this room\'s category and difficulty.')));
+            return;
+        }
+
+        if (!(room.id in this.usedQuestions))
+            this.usedQuestions[room.id] = new Set();
+
+        let used   = this.usedQuestions[room.id];
+        let unused = candidates.filter(i => !used.has(i));
+
+        // Once the room has seen every matching question, start over.
+        if (unused.length === 0)
+        {
+            console.log(`Room ${room.id} has used every local question; starting over.`);
+            candidates.forEach(i => used.delete(i));
+            unused = candidates;
+        }
+
+        let index = this.shuffle 
+            ? unused[Math.floor(Math.random() * unused.length)]
+            : unused[0];
+
+        used.add(index);
+
+        let question = makeTriviaQuestion(this.questions[index], this.shuffle);
+        setImmediate(() => onComplete(question));
+    }
+
+    releaseRoom(room)
+    {
+        delete this.usedQuestions[room.id];
+    }
+
+    // Return the indices of the questions that fit the room's configuration.
+    getCandidateIndices(room)
+    {
+        let result = [];
+        this.questions.forEach
+        (
+            (q, i) =>
+            {
+                if (room.config.hasCategory()   && q.categoryId !== room.config.category.id) return;
+                if (room.config.hasDifficulty() && q.difficulty !== room.config.difficulty)  return;
+                result.push(i);
+            }
+        );
+
+        return result;
+    }
+}
+
+// Parse the text of a pack file into a list of validated raw questions.
+function parsePack(fileName, text)
+{
+    let questions;
+
+    if (path.extname(fileName).toLowerCase() === '.csv')
+    {
+        questions = parseCsvQuestions(fileName, text);
+    }
+    else
+    {
+        let pack;
+        try
+        {
+            pack = JSON.parse(text);
+        }
+        catch (e)
+        {
+            throw new Error(`Question pack ${fileName} is not valid JSON: ${e.message}`);
+        }
+
+        questions = Array.isArray(pack) ? pack : pack.questions;
+        if (!Array.isArray(questions))
+            throw new Error(`Question pack ${fileName} has no "questions" array.`);
+    }
+
+    questions.forEach((q, i) => validateQuestion(fileName, i, q));
+    return questions.map
+    (
+        q => 
+        ({
+            type             : q.type || 'multiple',
+            category         : q.category || 'General',
+            difficulty       : q.difficulty || 'medium',
+            question         : q.question,
+            correct_answer   : q.correct_answer,
+            incorrect_answers: q.incorrect_answers || [],
+            accepted_answers : q.accepted_answers || [],
+            correct_order    : q.correct_order || []
+        })
+    );
+}
+
+// Throw an error if the raw question is missing anything a TriviaQuestion needs.
+function validateQuestion(fileName, index, q)
+{
+    let where = `Question ${index + 1} in pack ${fileName}`;
+
+    if (!q || typeof q !== 'object')
+        throw new Error(`${where} is not an object.`);
+    if (typeof q.question !== 'string' || q.question.length === 0)
+        throw new Error(`${where} has no question text.`);
+
+    switch (q.type || 'multiple')
+    {
+        case 'multiple':
+            if (typeof q.correct_answer !== 'string' || q.correct_answer.length === 0)
+                throw new Error(`${where} has no correct_answer.`);
+            if (!isStringList(q.incorrect_answers) || q.incorrect_answers.length === 0)
+                throw new Error(`${where} needs at least one incorrect answer.`);
+            break;
+
+        case 'boolean':
+            if (typeof q.correct_answer !== 'string' || !['true', 'false'].includes(q.correct_answer.toLowerCase()))
+                throw new Error(`${where} needs a correct_answer of True or False.`);
+            break;
+
+        case 'text':
+            if (typeof q.correct_answer !== 'string' || q.correct_answer.trim().length === 0)
+                throw new Error(`${where} has no correct_answer.`);
+            if (q.accepted_answers !== undefined && !isStringList(q.accepted_answers))
+                throw new Error(`${where} has accepted_answers that aren't a list of strings.`);
+            break;
+
+        case 'order':
+            if (!isStringList(q.correct_order) || q.correct_order.length < 2)
+                throw new Error(`${where} needs a correct_order of at least two answers.`);
+            if (new Set(q.correct_order).size !== q.correct_order.length)
+                throw new Error(`${where} has the same answer twice in correct_order.`);
+            break;
+
+        default:
+            throw new Error(`${where} has unknown type '${q.type}'.`);
+    }
+
+    if (q.difficulty !== undefined && !['easy', 'medium', 'hard'].includes(q.difficulty))
+        throw new Error(`${where} has unknown difficulty '${q.difficulty}'.`);
+    if (q.category !== undefined && typeof q.category !== 'string')
+        throw new Error(`${where} has a category that isn't a string.`);
+}
+
+function isStringList(value)
+{
+    return Array.isArray(value) && value.every(a => typeof a === 'string');
+}
+
+// Turn a CSV pack into raw question objects. The first row is the header.
+function parseCsvQuestions(fileName, text)
+{
+    let rows   = parseCsv(text).filter(r => r.length > 1 || r[0] !== '');
+    let header = (rows.shift() || []).map(h => h.trim());
+
+    ['question', 'correct_answer', 'incorrect_answers'].forEach
+    (
+        column => 
+        {
+            if (!header.includes(column))
+                throw new Error(`Question pack ${fileName} is missing the '${column}' column.`);
+        }
+    );
+
+    return rows.map
+    (
+        row =>
+        {
+            let q = {};
+            header.forEach((column, i) => q[column] = row[i] === undefined ? '' : row[i]);
+
+            q.incorrect_answers = q.incorrect_answers.split('|').filter(a => a.length > 0);
+            if (!q.category)   delete q.category;
+            if (!q.difficulty) delete q.difficulty;
+            if (!q.type)       delete q.type;
+
+            if (q.type === 'text')
+            {
+                q.accepted_answers  = q.incorrect_answers;
+                q.incorrect_answers = [];
+            }
+            else if (q.type === 'order')
+            {
+                q.correct_order = q.correct_answer.split('|').filter(a => a.length > 0);
+            }
+
+            return q;
+        }
+    );
+}
+
+// A small CSV parser: comma separated, fields may be quoted with
+// double quotes, and "" inside a quoted field is a literal quote.
+function parseCsv(text)
+{
+    let rows    = [];
+    let row     = [];
+    let field   = '';
+    let quoted  = false;
+
+    for (let i = 0; i < text.length; ++i)
+    {
+        let c = text[i];
+
+        if (quoted)
+        {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; ++i; }
+            else if (c === '"')                   quoted = false;
+            else                                  field += c;
+        }
+        else if (c === '"')  quoted = true;
+        else if (c === ',')  { row.push(field); field = ''; }
+        else if (c === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+        else if (c !== '\r') field += c;
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows;
+}
+
+module.exports = LocalQuestionProvider;
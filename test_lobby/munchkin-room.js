@@ -0,0 +1,927 @@
+const RoomBase     = require('./roombase');
+const EventEmitter = require('events');
+const crypto       = require('crypto');
+const Deck         = require('./card-deck');
+const cardLoader   = require('./card-loader');
+
+const { shuffle }  = Deck;
+
+// A map of all of the active Munchkin rooms.
+let rooms = {};
+
+// The card definitions every room builds its decks from. Set by init().
+let cards = null;
+
+// An EventEmitter that other modules can subscribe to
+// in order to receive events about room creation,
+// deletion, etc.
+class MunchkinEventEmitter extends EventEmitter {}
+const munchkinEventEmitter = new MunchkinEventEmitter();
+
+// Munchkin room event names. These match the trivia room event
+// names so the lobby can treat both kinds of room the same way.
+const events =
+{
+    NEW_ROOM   : 'newRoom',    // Args: the room that was created
+    DELETE_ROOM: 'deleteRoom', // Args: the room that was deleted
+    UPDATE_ROOM: 'updateRoom'  // Args: the room that was updated
+};
+
+// The stages of a game, and of each player's turn.
+const phase =
+{
+    WAITING  : 'waiting',   // The game hasn't started yet.
+    KICK_DOOR: 'kick door', // The current player must kick open the door.
+    COMBAT   : 'combat',    // The current player is fighting a monster.
+    LOOT     : 'loot',      // No monster behind the door: look for trouble or loot the room.
+    CHARITY  : 'charity',   // The current player is done and must end their turn.
+    GAME_OVER: 'game over'  // Somebody reached level 10.
+};
+
+const MAX_LEVEL          = 10;
+const HAND_LIMIT         = 5;
+const STARTING_CARDS     = 4; // Of each deck.
+const RUN_AWAY_TARGET    = 5; // A die roll of at least this escapes.
+
+// The number of items each slot can hold. 'none' is unlimited.
+const slotCapacity =
+{
+    headgear: 1,
+    armor   : 1,
+    footgear: 1,
+    hands   : 2
+};
+
+/*
+    A user's character in a Munchkin game.
+*/
+class MunchkinPlayer
+{
+    constructor(nickname)
+    {
+        this.nickname       = nickname;
+        this.level          = 1;
+        this.hand           = [];
+        this.equipped       = [];
+        this.race           = null; // null means human
+        this.characterClass = null;
+    }
+
+    // The player's strength in combat: level plus equipment and class bonuses.
+    getCombatStrength()
+    {
+        let strength = this.level;
+        this.equipped.forEach(card => strength += card.bonus || 0);
+        this.getTraits().forEach(card => strength += card.combatBonus || 0);
+        return strength;
+    }
+
+    getRunAwayBonus()
+    {
+        return this.getTraits().reduce((sum, card) => sum + (card.runAwayBonus || 0), 0);
+    }
+
+    getHandLimit()
+    {
+        return HAND_LIMIT + this.getTraits().reduce((sum, card) => sum + (card.handLimitBonus || 0), 0);
+    }
+
+    winsTies()
+    {
+        return this.getTraits().some(card => card.winsTies);
+    }
+
+    // The player's race and class cards.
+    getTraits()
+    {
+        return [this.race, this.characterClass].filter(card => card);
+    }
+
+    // Returns the reason the given item can't be equipped, or null if it can.
+    getEquipError(card)
+    {
+        let raceName  = this.race ? this.race.name : 'Human';
+        let className = this.characterClass ? this.characterClass.name : null;
+
+        if (card.requiresRace && card.requiresRace !== raceName)
+            return `Only a ${card.requiresRace} can use ${card.name}.`;
+        if (card.requiresClass && card.requiresClass !== className)
+            return `Only a ${card.requiresClass} can use ${card.name}.`;
+        if (card.big && this.equipped.some(c => c.big))
+            return 'You can only carry one big item.';
+
+        if (card.slot in slotCapacity)
+        {
+            let used = this.equipped
+                .filter(c => c.slot === card.slot)
+                .reduce((sum, c) => sum + (c.hands || 1), 0);
+
+            if (used + (card.hands || 1) > slotCapacity[card.slot])
+                return `You have no free ${card.slot} slot.`;
+        }
+
+        return null;
+    }
+
+    // Remove the card with the given ID from the player's hand and return it,
+    // or return null if it isn't in their hand.
+    takeFromHand(cardId)
+    {
+        let index = this.hand.findIndex(c => c.id === cardId);
+        return index === -1 ? null : this.hand.splice(index, 1)[0];
+    }
+
+    // Change the player's level, keeping it between 1 and the given maximum.
+    changeLevel(amount, max = MAX_LEVEL - 1)
+    {
+        this.level = Math.max(1, Math.min(max, this.level + amount));
+    }
+
+    // What other players may see about this player.
+    getPublicInfo()
+    {
+        return {
+            nickname      : this.nickname,
+            level         : this.level,
+            strength      : this.getCombatStrength(),
+            race          : this.race ? this.race.name : null,
+            characterClass: this.characterClass ? this.characterClass.name : null,
+            equipped      : this.equipped,
+            handCount     : this.hand.length
+        };
+    }
+}
+
+/*
+    The rules a particular Munchkin room abides by.
+*/
+class MunchkinRoomConfiguration
+{
+    constructor(minPlayers = 2, maxPlayers = 6)
+    {
+        this.minPlayers = minPlayers;
+        this.maxPlayers = maxPlayers;
+
+        // Who can find and join the room.
+        this.listed   = true; // false keeps the room out of the lobby's room list
+        this.password = null; // null if anyone may join
+    }
+}
+
+// Represents a room in which players play a game of Munchkin.
+//
+// The player whose turn it is kicks open the door. A monster behind it
+// must be fought or run away from; anything else either hits them (curses)
+// or goes to their hand, after which they may look for trouble (fight a
+// monster from their hand) or loot the room (draw a door face down). The
+// turn ends with charity: cards over the hand limit go to the lowest-level
+// player(s). The first player to reach level 10 by killing a monster wins.
+class MunchkinRoom extends RoomBase
+{
+    constructor(ioInstance, name, deleteOnLastUser = true, config)
+    {
+        super(ioInstance);
+        this.setName(name);
+
+        this.id               = generateId();
+        this.gameType         = 'munchkin';
+        this.deleteOnLastUser = deleteOnLastUser;
+        this.config           = config;
+        this.phase            = phase.WAITING;
+        this.turnIndex        = 0;
+        this.combat           = null;
+        this.winner           = null;
+
+        // Lets invited users in without the password.
+        this.inviteCode = crypto.randomBytes(8).toString('hex');
+
+        // Maps nicknames to each user's MunchkinPlayer. A Map, since
+        // nicknames and curse targets come from clients.
+        this.players = new Map();
+
+        // The order in which players take their turns.
+        this.turnOrder = [];
+
+        let nextId         = { value: 0 };
+        this.doorDeck      = new Deck(cards.doorCards, 'door', nextId);
+        this.treasureDeck  = new Deck(cards.treasureCards, 'treasure', nextId);
+    }
+
+    // Add a user to the room. Users who join a game in progress are
+    // dealt in and take their turn after everyone else.
+    addUser(user)
+    {
+        if (!this.players.has(user.nickname) && this.turnOrder.length >= this.config.maxPlayers)
+            return this.sendError(user, 'This room is full.');
+
+        super.addUser(user);
+
+        if (!this.players.has(user.nickname))
+        {
+            this.players.set(user.nickname, new MunchkinPlayer(user.nickname));
+            this.turnOrder.push(user.nickname);
+
+            if (this.phase !== phase.WAITING)
+                this.dealStartingHand(this.players.get(user.nickname));
+        }
+
+        this.listenForActions(user);
+
+        this.sendEnteredGameRoom(user);
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+
+        munchkinEventEmitter.emit(events.UPDATE_ROOM, this);
+    }
+
+    // Bring a reconnecting user back up to date. They kept their cards
+    // while they were gone.
+    reconnectUser(user)
+    {
+        super.reconnectUser(user);
+        this.listenForActions(user);
+
+        this.sendEnteredGameRoom(user);
+        user.socket.emit('munchkin state', this.getPublicState());
+        this.sendHandToOne(user);
+    }
+
+    // Remove the given user from the room. Their cards are discarded.
+    removeUser(user)
+    {
+        super.removeUser(user);
+
+        Object.values(actionHandlers).forEach(name => user.socket.removeAllListeners(name));
+
+        let player = this.players.get(user.nickname);
+        if (player)
+        {
+            let wasTheirTurn = this.getCurrentPlayer() === player;
+
+            player.hand.concat(player.equipped, player.getTraits()).forEach(card => this.discard(card));
+            this.players.delete(user.nickname);
+
+            let index = this.turnOrder.indexOf(user.nickname);
+            this.turnOrder.splice(index, 1);
+            if (index < this.turnIndex) --this.turnIndex;
+
+            // If it was their turn, the next player goes.
+            if (wasTheirTurn && this.isPlaying())
+            {
+                if (this.combat) this.discard(this.combat.monster);
+                this.combat = null;
+                this.startTurn(this.turnIndex);
+            }
+        }
+
+        this.sendLeftGameRoom(user);
+
+        // If this was the last user, remove this room
+        // from the room list.
+        if (this.users.length === 0 && this.deleteOnLastUser)
+        {
+            deleteRoom(this);
+            console.log(`Deleted room ${this.id}.`);
+        }
+        else
+        {
+            this.sendStateToAll();
+            munchkinEventEmitter.emit(events.UPDATE_ROOM, this);
+        }
+    }
+
+    // Start listening for the game actions of the given user.
+    listenForActions(user)
+    {
+        for (let method in actionHandlers)
+        {
+            let eventName = actionHandlers[method];
+            user.socket.removeAllListeners(eventName);
+            user.socket.on(eventName, (...args) => this[method](user, ...args));
+        }
+    }
+
+    // Returns true once the game has started and until somebody wins.
+    isPlaying()
+    {
+        return this.phase !== phase.WAITING && this.phase !== phase.GAME_OVER;
+    }
+
+    getCurrentPlayer()
+    {
+        if (this.turnOrder.length === 0) return null;
+        return this.players.get(this.turnOrder[this.turnIndex]);
+    }
+
+    // Start the game. Anyone in the room can start it once there are enough players.
+    startGame(user)
+    {
+        if (this.phase !== phase.WAITING)
+            return this.sendError(user, 'The game has already started.');
+        if (this.turnOrder.length < this.config.minPlayers)
+            return this.sendError(user, `At least ${this.config.minPlayers} players are needed to start.`);
+
+        this.turnOrder = shuffle(this.turnOrder);
+        this.turnOrder.forEach(nickname => this.dealStartingHand(this.players.get(nickname)));
+        this.users.forEach(u => this.sendHandToOne(u));
+
+        this.sendGameEvent(`${user.nickname} started the game.`);
+        this.startTurn(0);
+    }
+
+    // Kick open the door: draw a door card face up.
+    kickDoor(user)
+    {
+        let player = this.getActingPlayer(user, phase.KICK_DOOR);
+        if (!player) return;
+
+        let card = this.doorDeck.draw();
+        if (!card) return this.sendError(user, 'The door deck is empty.');
+
+        this.sendGameEvent(`${player.nickname} kicked open the door and found ${card.name}.`, card);
+
+        if (card.type === 'monster')
+        {
+            this.startCombat(card);
+        }
+        else if (card.type === 'curse')
+        {
+            this.applyEffect(player, card.effect);
+            this.discard(card);
+            this.phase = phase.LOOT;
+        }
+        else
+        {
+            player.hand.push(card);
+            this.phase = phase.LOOT;
+        }
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Fight a monster from your own hand instead of looting the room.
+    lookForTrouble(user, cardId)
+    {
+        let player = this.getActingPlayer(user, phase.LOOT);
+        if (!player) return;
+
+        let card = player.hand.find(c => c.id === cardId);
+        if (!card || card.type !== 'monster')
+            return this.sendError(user, 'You can only look for trouble with a monster from your hand.');
+
+        player.takeFromHand(cardId);
+        this.sendGameEvent(`${player.nickname} is looking for trouble with ${card.name}.`, card);
+        this.startCombat(card);
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Draw a second door card face down into your hand.
+    lootRoom(user)
+    {
+        let player = this.getActingPlayer(user, phase.LOOT);
+        if (!player) return;
+
+        let card = this.doorDeck.draw();
+        if (card) player.hand.push(card);
+
+        this.sendGameEvent(`${player.nickname} looted the room.`);
+        this.phase = phase.CHARITY;
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Fight the current monster. Only succeeds if the player is strong enough.
+    fight(user)
+    {
+        let player = this.getActingPlayer(user, phase.COMBAT);
+        if (!player) return;
+
+        let playerStrength  = this.getPlayerCombatStrength();
+        let monsterStrength = this.getMonsterCombatStrength();
+
+        if (playerStrength < monsterStrength || (playerStrength === monsterStrength && !player.winsTies()))
+            return this.sendError(user, `You are not strong enough (${playerStrength} vs ${monsterStrength}). Play a card or run away.`);
+
+        let monster = this.combat.monster;
+        this.sendGameEvent(`${player.nickname} defeated ${monster.name}!`, monster);
+
+        // Only killing a monster can take you to the winning level.
+        player.changeLevel(monster.levels || 1, MAX_LEVEL);
+        for (let i = 0; i < (monster.treasures || 1); ++i)
+        {
+            let treasure = this.treasureDeck.draw();
+            if (treasure) player.hand.push(treasure);
+        }
+
+        this.endCombat();
+
+        if (player.level >= MAX_LEVEL)
+            this.endGame(player);
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Try to run away from the current monster. Failing means suffering its bad stuff.
+    runAway(user)
+    {
+        let player = this.getActingPlayer(user, phase.COMBAT);
+        if (!player) return;
+
+        let roll    = rollDie();
+        let total   = roll + player.getRunAwayBonus();
+        let monster = this.combat.monster;
+
+        if (total >= RUN_AWAY_TARGET)
+        {
+            this.sendGameEvent(`${player.nickname} rolled ${roll} and ran away from ${monster.name}.`);
+        }
+        else
+        {
+            this.sendGameEvent(`${player.nickname} rolled ${roll} and couldn't escape ${monster.name}. Bad stuff!`);
+            this.applyEffect(player, monster.badStuff || {});
+        }
+
+        this.endCombat();
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Play a card from your hand.
+    //
+    // Items, races and classes can be played by their owner outside of combat.
+    // One-shots can be played by anyone during combat; target is 'player' to
+    // help the fighter or 'monster' to help the monster. Go-up-a-level cards
+    // can be played at any time. Curses are cast on the player named by target.
+    playCard(user, cardId, target)
+    {
+        let player = this.players.get(user.nickname);
+        if (!player || !this.isPlaying())
+            return this.sendError(user, 'You can\'t play cards right now.');
+
+        let card = player.hand.find(c => c.id === cardId);
+        if (!card)
+            return this.sendError(user, 'That card isn\'t in your hand.');
+
+        let error = this.getPlayCardError(player, card, target);
+        if (error)
+            return this.sendError(user, error);
+
+        player.takeFromHand(cardId);
+
+        switch (card.type)
+        {
+            case 'item':
+                player.equipped.push(card);
+                this.sendGameEvent(`${player.nickname} equipped ${card.name}.`, card);
+                break;
+
+            case 'race':
+            case 'class':
+            {
+                let key = card.type === 'race' ? 'race' : 'characterClass';
+                if (player[key]) this.discard(player[key]);
+                player[key] = card;
+                this.sendGameEvent(`${player.nickname} is now a ${card.name}.`, card);
+                break;
+            }
+
+            case 'one-shot':
+                if (target === 'monster') this.combat.monsterBonus += card.bonus || 0;
+                else                      this.combat.playerBonus  += card.bonus || 0;
+                this.discard(card);
+                this.sendGameEvent(`${player.nickname} played ${card.name} for the ${target === 'monster' ? 'monster' : 'fighter'}.`, card);
+                break;
+
+            case 'level-up':
+                player.changeLevel(card.levels || 1);
+                this.discard(card);
+                this.sendGameEvent(`${player.nickname} played ${card.name}.`, card);
+                break;
+
+            case 'curse':
+                this.applyEffect(this.players.get(target), card.effect);
+                this.discard(card);
+                this.sendGameEvent(`${player.nickname} cursed ${target} with ${card.name}.`, card);
+                break;
+        }
+
+        this.sendStateToAll();
+        this.sendHandToOne(user);
+    }
+
+    // Returns the reason the player can't play the card right now, or null if they can.
+    getPlayCardError(player, card, target)
+    {
+        let inCombat = this.phase === phase.COMBAT;
+
+        switch (card.type)
+        {
+            case 'item':
+                if (inCombat) return 'You can\'t change your equipment during combat.';
+                return player.getEquipError(card);
+
+            case 'race':
+            case 'class':
+                if (inCombat) return `You can't change your ${card.type} during combat.`;
+                return null;
+
+            case 'one-shot':
+                if (!inCombat) return `${card.name} can only be played during combat.`;
+                return null;
+
+            case 'level-up':
+                return null;
+
+            case 'curse':
+                if (!this.players.has(target)) return 'Choose a player to curse.';
+                return null;
+
+            case 'monster':
+                return 'Monsters can only be played by looking for trouble.';
+
+            default:
+                return `${card.name} can't be played.`;
+        }
+    }
+
+    // End the current player's turn. Cards over the hand limit go to the
+    // lowest-level player(s), or are discarded if the current player is the
+    // lowest. giveAway is an optional list of card IDs to give away; if it
+    // doesn't cover the excess, the rest are taken from the end of the hand.
+    endTurn(user, giveAway = [])
+    {
+        let player = this.getActingPlayer(user, phase.CHARITY);
+        if (!player) return;
+
+        let excess = player.hand.length - player.getHandLimit();
+        if (excess > 0)
+        {
+            let cards = [];
+            (Array.isArray(giveAway) ? giveAway : []).forEach
+            (
+                id =>
+                {
+                    if (cards.length >= excess) return;
+                    let card = player.takeFromHand(id);
+                    if (card) cards.push(card);
+                }
+            );
+            while (cards.length < excess) cards.push(player.hand.pop());
+
+            this.giveToCharity(player, cards);
+        }
+
+        this.startTurn((this.turnIndex + 1) % this.turnOrder.length);
+        this.users.forEach(u => this.sendHandToOne(u));
+    }
+
+    // Give the cards to the lowest-level player(s) other than the giver.
+    // If the giver is the lowest level, the cards are discarded instead.
+    giveToCharity(giver, cards)
+    {
+        let others = [...this.players.values()].filter(p => p !== giver);
+        let lowest = Math.min(...others.map(p => p.level));
+
+        if (others.length === 0 || giver.level <= lowest)
+        {
+            cards.forEach(card => this.discard(card));
+            this.sendGameEvent(`${giver.nickname} discarded ${cards.length} card(s) to charity.`);
+            return;
+        }
+
+        let receivers = others.filter(p => p.level === lowest);
+        cards.forEach((card, i) => receivers[i % receivers.length].hand.push(card));
+
+        let names = receivers.map(p => p.nickname).join(', ');
+        this.sendGameEvent(`${giver.nickname} gave ${cards.length} card(s) to ${names}.`);
+    }
+
+    // Apply a curse effect or a monster's bad stuff to the player:
+    /**
+     * {
+     *  levels   : number,  levels lost
+     *  loseItem : string,  a slot name, 'any' (the best item) or 'all'
+     *  loseRace : boolean,
+     *  loseClass: boolean,
+     *  death    : boolean  lose every card in hand and in play, but keep your level
+     * }
+     */
+    applyEffect(player, effect)
+    {
+        if (!player || !effect) return;
+
+        if (effect.levels) player.changeLevel(-effect.levels);
+
+        if (effect.death)
+        {
+            player.hand.concat(player.equipped, player.getTraits()).forEach(card => this.discard(card));
+            player.hand           = [];
+            player.equipped       = [];
+            player.race           = null;
+            player.characterClass = null;
+            this.sendGameEvent(`${player.nickname} died and lost everything but their level.`);
+        }
+
+        if (effect.loseItem)
+        {
+            let lost = [];
+            if (effect.loseItem === 'all')
+            {
+                lost = player.equipped;
+            }
+            else if (effect.loseItem === 'any')
+            {
+                let best = player.equipped.slice().sort((a, b) => (b.bonus || 0) - (a.bonus || 0))[0];
+                if (best) lost = [best];
+            }
+            else
+            {
+                lost = player.equipped.filter(c => c.slot === effect.loseItem);
+            }
+
+            player.equipped = player.equipped.filter(c => !lost.includes(c));
+            lost.forEach(card => this.discard(card));
+            if (lost.length > 0)
+                this.sendGameEvent(`${player.nickname} lost ${lost.map(c => c.name).join(', ')}.`);
+        }
+
+        if (effect.loseRace && player.race)
+        {
+            this.discard(player.race);
+            player.race = null;
+        }
+
+        if (effect.loseClass && player.characterClass)
+        {
+            this.discard(player.characterClass);
+            player.characterClass = null;
+        }
+    }
+
+    getPlayerCombatStrength()
+    {
+        return this.getCurrentPlayer().getCombatStrength() + this.combat.playerBonus;
+    }
+
+    getMonsterCombatStrength()
+    {
+        return this.combat.monster.level + this.combat.monsterBonus;
+    }
+
+    startCombat(monster)
+    {
+        this.combat = { monster: monster, playerBonus: 0, monsterBonus: 0 };
+        this.phase  = phase.COMBAT;
+    }
+
+    endCombat()
+    {
+        this.discard(this.combat.monster);
+        this.combat = null;
+        this.phase  = phase.CHARITY;
+    }
+
+    // Make it the turn of the player at the given index in the turn order.
+    startTurn(index)
+    {
+        if (this.turnOrder.length === 0) return;
+
+        this.turnIndex = index % this.turnOrder.length;
+        this.phase     = phase.KICK_DOOR;
+
+        this.sendGameEvent(`It is ${this.getCurrentPlayer().nickname}'s turn.`);
+        this.sendStateToAll();
+    }
+
+    endGame(winner)
+    {
+        this.phase  = phase.GAME_OVER;
+        this.winner = winner.nickname;
+
+        this.io.to(this.id).emit('munchkin game over', { winner: winner.nickname, players: this.getPlayerList() });
+        this.sendGameEvent(`${winner.nickname} reached level ${MAX_LEVEL} and won the game!`);
+    }
+
+    dealStartingHand(player)
+    {
+        for (let i = 0; i < STARTING_CARDS; ++i)
+        {
+            let door     = this.doorDeck.draw();
+            let treasure = this.treasureDeck.draw();
+            if (door)     player.hand.push(door);
+            if (treasure) player.hand.push(treasure);
+        }
+    }
+
+    // Put a card on the discard pile of the deck it came from.
+    discard(card)
+    {
+        if (card.deck === 'door') this.doorDeck.discard(card);
+        else                      this.treasureDeck.discard(card);
+    }
+
+    // Return the player belonging to the user if it is their turn and the
+    // game is in the expected phase. Otherwise, tell the user why they can't
+    // act and return null.
+    getActingPlayer(user, expectedPhase)
+    {
+        let player = this.players.get(user.nickname);
+
+        if (!player || this.getCurrentPlayer() !== player || !this.isPlaying())
+        {
+            this.sendError(user, 'It isn\'t your turn.');
+            return null;
+        }
+
+        if (this.phase !== expectedPhase)
+        {
+            this.sendError(user, `You can't do that during the '${this.phase}' phase.`);
+            return null;
+        }
+
+        return player;
+    }
+
+    getPlayerList()
+    {
+        return this.turnOrder.map(nickname => this.players.get(nickname).getPublicInfo());
+    }
+
+    // Make the game state everyone in the room may see.
+    getPublicState()
+    {
+        let current = this.getCurrentPlayer();
+
+        return {
+            phase        : this.phase,
+            currentPlayer: current && this.phase !== phase.WAITING ? current.nickname : null,
+            players      : this.getPlayerList(),
+            combat       : this.combat
+                ?
+                {
+                    monster        : this.combat.monster,
+                    playerStrength : this.getPlayerCombatStrength(),
+                    monsterStrength: this.getMonsterCombatStrength()
+                }
+                : null,
+            doorCount    : this.doorDeck.getDrawCount(),
+            treasureCount: this.treasureDeck.getDrawCount(),
+            topDoor      : this.doorDeck.getTopDiscard(),
+            topTreasure  : this.treasureDeck.getTopDiscard(),
+            winner       : this.winner
+        };
+    }
+
+    // Send the game state to everyone in the room.
+    sendStateToAll()
+    {
+        this.io.to(this.id).emit('munchkin state', this.getPublicState());
+    }
+
+    // Send the given user the cards in their hand. Hands are private.
+    sendHandToOne(user)
+    {
+        let player = this.players.get(user.nickname);
+        if (player) user.socket.emit('munchkin hand', player.hand);
+    }
+
+    // Tell everyone in the room what just happened. card is the card involved, if any.
+    sendGameEvent(text, card = null)
+    {
+        this.io.to(this.id).emit('munchkin event', { text: text, card: card });
+    }
+
+    // Tell the user their action wasn't allowed.
+    sendError(user, message)
+    {
+        user.socket.emit('munchkin error', message);
+    }
+
+    // Tell the given user they have entered this room.
+    sendEnteredGameRoom(user)
+    {
+        user.socket.emit('entered game room', this.id);
+    }
+
+    // Tell the given user they have left this room.
+    sendLeftGameRoom(user)
+    {
+        user.socket.emit('left game room');
+    }
+}
+
+// Maps MunchkinRoom methods to the socket events that trigger them.
+/**
+ * 'look for trouble' comes with the ID of a monster card in the player's hand.
+ * 'play card' comes with a card ID and a target ('player', 'monster' or a nickname).
+ * 'end turn' optionally comes with a list of card IDs to give to charity.
+ */
+const actionHandlers =
+{
+    startGame     : 'start game',
+    kickDoor      : 'kick door',
+    lookForTrouble: 'look for trouble',
+    lootRoom      : 'loot room',
+    fight         : 'fight',
+    runAway       : 'run away',
+    playCard      : 'play card',
+    endTurn       : 'end turn'
+};
+
+// Roll a six-sided die.
+function rollDie()
+{
+    return Math.floor(Math.random() * 6) + 1;
+}
+
+// Load the card definitions rooms build their decks from. Returns a
+// Promise that resolves with the names of the loaded card sets, or rejects
+// with a CardValidationError describing every invalid card.
+function init(directory = undefined)
+{
+    return cardLoader.loadCards(directory)
+    .then
+    (
+        loaded =>
+        {
+            cards = loaded;
+            return loaded.sets;
+        }
+    );
+}
+
+// Remove the given room from the room list.
+function deleteRoom(room)
+{
+    if (room && rooms.hasOwnProperty(room.id))
+    {
+        delete rooms[room.id];
+        munchkinEventEmitter.emit(events.DELETE_ROOM, room);
+    }
+}
+
+// Randomly generate a 5-character string that represents a room.
+function generateId()
+{
+    const alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    let   id       = '';
+
+    for (let i = 0; i < 5; ++i)
+        id += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
+
+    return id;
+}
+
+// Make a new Munchkin room. ioInstance is the socket.io handle,
+// and is needed by the room to send and receive messages.
+function makeNewRoom(ioInstance, name, deleteOnLastUser = true, config = null)
+{
+    if (!cards)
+        throw new Error('Munchkin cards have not been loaded; call init() first.');
+
+    // Default config
+    if (!config)
+        config = new MunchkinRoomConfiguration();
+
+    let room = new MunchkinRoom(ioInstance, name, deleteOnLastUser, config);
+
+    rooms[room.getId()] = room;
+
+    munchkinEventEmitter.emit(events.NEW_ROOM, room);
+    return room;
+}
+
+// Return the room with the given id, or null if no such room
+// exists.
+function getRoomById(id)
+{
+    if (rooms.hasOwnProperty(id)) return rooms[id];
+    else                          return null;
+}
+
+// Return an array of the IDs of all of the currently active rooms.
+function getRoomIdList()
+{
+    return Object.keys(rooms);
+}
+
+// Export the Munchkin API.
+//
+
+module.exports.MunchkinRoom              = MunchkinRoom;
+module.exports.MunchkinPlayer            = MunchkinPlayer;
+module.exports.MunchkinRoomConfiguration = MunchkinRoomConfiguration;
+module.exports.init                      = init;
+module.exports.makeNewRoom               = makeNewRoom;
+module.exports.deleteRoom                = deleteRoom;
+module.exports.getRoomById               = getRoomById;
+module.exports.getRoomIdList             = getRoomIdList;
+module.exports.munchkinEventEmitter      = munchkinEventEmitter;
+module.exports.events                    = events;
+module.exports.phase                     = phase;
@@ -0,0 +1,275 @@
+const axios                = require('axios');
+const RequestScheduler     = require('./request-scheduler');
+const state                = require('./state-store');
+const config               = require('./config');
+const { QuestionProvider,
+        NoQuestionsError,
+        makeTriviaQuestion } = require('./question-provider');
+
+// The most questions OpenTDB will send in one request.
+const MAX_AMOUNT = 50;
+
+// The response_code OpenTDB sends with every response.
+const responseCode =
+{
+    SUCCESS          : 0,
+    NO_RESULTS       : 1, // Not enough questions for the query.
+    INVALID_PARAMETER: 2, // e.g. a category that doesn't exist.
+    TOKEN_NOT_FOUND  : 3, // The session token has expired or never existed.
+    TOKEN_EMPTY      : 4, // The session token has seen every question for the query.
+    RATE_LIMIT       : 5  // Too many requests from this address.
+};
+
+// How many times in a row a request turned away for going too fast is
+// made again before giving up on it.
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// The state store hash that maps room IDs to their OpenTDB session tokens.
+const SESSION_TOKENS = 'opentdb tokens';
+
+/*
+    Supplies questions from the Open Trivia Database (opentdb.com).
+    Each room gets its own OpenTDB session token so it doesn't see
+    the same question twice.
+*/
+class OpenTDBProvider extends QuestionProvider
+{
+    /*
+        | settings | The opentdb section of the config: { url, requestIntervalSeconds, maxBackoffSeconds }. |
+    */
+    constructor(settings = config.get().opentdb)
+    {
+        super('opentdb');
+
+        // Where the API is, without a trailing slash. The tests point it at a mock.
+        this.baseUrl = settings.url.replace(/\/+$/, '');
+
+        // Every request to OpenTDB goes through this, whichever room it is
+        // for. OpenTDB allows one request every 5 seconds from each IP
+        // address; when it turns us away anyway, the gap widens.
+        this.scheduler = new RequestScheduler(settings.requestIntervalSeconds, settings.maxBackoffSeconds);
+    }
+
+    // Return a promise that resolves with the OpenTDB category list.
+    //
+    // Example: [ {id: 9, name: "General Knowledge"}, ... ]
+    loadCategories()
+    {
+        if (this.categories.length === 0)
+        {
+            // If the response isn't cached, make a request for the
+            // category list.
+            return this.get(null, `${this.baseUrl}/api_category.php`)
+                .then
+                (
+                    data =>
+                    {
+                        this.categories = data.trivia_categories;
+                        return this.categories;
+                    }
+                );
+        }
+        else
+        {
+            // ...Otherwise, return the cached response.
+            return Promise.resolve(this.categories);
+        }
+    }
+
+    getTriviaQuestionAsync(room, onComplete, onError)
+    {
+        this.getTriviaQuestionsAsync(room, 1, questions => onComplete(questions[0]), onError);
+    }
+
+    // Fetch up to amount questions in one request. OpenTDB sends at most
+    // MAX_AMOUNT at a time.
+    getTriviaQuestionsAsync(room, amount, onComplete, onError)
+    {
+        this.requestQuestions(room, Math.min(amount, MAX_AMOUNT))
+            .then(questions => onComplete(questions))
+            .catch(error => onError(error));
+    }
+
+    // Delete a room's session token when it is destroyed, and drop the
+    // requests still waiting to be made for it.
+    releaseRoom(room)
+    {
+        state.remove(SESSION_TOKENS, room.id)
+            .catch(error => console.log(`Could not delete the session token of room ${room.id}: ${error.message}`));
+        this.scheduler.cancel(room.id);
+    }
+
+    // Where requests go, how many are waiting their turn, and whether
+    // OpenTDB has been turning them away.
+    getStatus()
+    {
+        return {
+            url                   : this.baseUrl,
+            queuedRequests        : this.scheduler.queue.length,
+            secondsBetweenRequests: this.scheduler.gapSeconds,
+            backingOff            : this.scheduler.gapSeconds > this.scheduler.intervalSeconds
+        };
+    }
+
+    // Return a promise that resolves with a list of questions for the room,
+    // dealing with whatever OpenTDB says about the room's session token on
+    // the way. If the token has seen every question, it is reset once; if
+    // OpenTDB has no questions for the room at all, the promise rejects
+    // with a NoQuestionsError.
+    requestQuestions(room, amount, canResetToken = true)
+    {
+        return this.getSessionTokenForRoom(room)
+        .then(token => this.get(room.id, this.getQuestionUrl(room, amount, token)))
+        .then
+        (
+            data =>
+            {
+                switch (data.response_code)
+                {
+                    case responseCode.SUCCESS:
+                        return data.results.map(r => makeTriviaQuestion(r));
+
+                    case responseCode.NO_RESULTS:
+                        // There may still be a question or two left.
+                        if (amount > 1) return this.requestQuestions(room, 1, canResetToken);
+                        throw new NoQuestionsError('OpenTDB has no questions for this category and difficulty.');
+
+                    case responseCode.INVALID_PARAMETER:
+                        throw new NoQuestionsError('OpenTDB doesn\'t recognize this category or difficulty.');
+
+                    case responseCode.TOKEN_NOT_FOUND:
+                    {
+                        // Start over with a new token.
+                        let forgotten = state.remove(SESSION_TOKENS, room.id);
+                        if (canResetToken) return forgotten.then(() => this.requestQuestions(room, amount, false));
+
+                        forgotten.catch(error => console.log(`Could not delete the session token of room ${room.id}: ${error.message}`));
+                        break;
+                    }
+
+                    case responseCode.TOKEN_EMPTY:
+                        if (canResetToken)
+                        {
+                            console.log(`Resetting session token for room ${room.id}.`);
+                            return this.resetSessionToken(room).then(() => this.requestQuestions(room, amount, false));
+                        }
+                        break;
+                }
+
+                throw new Error(`OpenTDB responded with code ${data.response_code}.`);
+            }
+        );
+    }
+
+    getQuestionUrl(room, amount, token)
+    {
+        let url = `${this.baseUrl}/api.php?amount=${amount}&token=${token}`;
+
+        if (room.config.hasDifficulty()) url += `&difficulty=${room.config.difficulty}`;
+        if (room.config.hasCategory())   url += `&category=${room.config.category.id}`;
+
+        return url;
+    }
+
+    // Return a promise that resolves with the room's session token,
+    // requesting one if the room doesn't have one yet.
+    getSessionTokenForRoom(room)
+    {
+        return state.get(SESSION_TOKENS, room.id)
+        .then
+        (
+            token =>
+            {
+                if (token) return token;
+
+                console.log('Getting session token...');
+                return this.get(room.id, `${this.baseUrl}/api_token.php?command=request`)
+                .then
+                (
+                    data =>
+                    {
+                        if (data.response_code !== responseCode.SUCCESS)
+                            throw new Error(`OpenTDB responded with code ${data.response_code} to a token request.`);
+
+                        console.log(`Got session token: '${data.token}'.`);
+                        return state.set(SESSION_TOKENS, room.id, data.token).then(() => data.token);
+                    }
+                );
+            }
+        );
+    }
+
+    // Let the room's session token give out every question again. Returns
+    // a promise that resolves with the token. If the room has no token, or
+    // OpenTDB won't reset it, the room gets a new one instead.
+    resetSessionToken(room)
+    {
+        let requestNewToken = () => state.remove(SESSION_TOKENS, room.id).then(() => this.getSessionTokenForRoom(room));
+
+        return state.get(SESSION_TOKENS, room.id)
+        .then
+        (
+            token =>
+            {
+                if (!token) return requestNewToken();
+
+                return this.get(room.id, `${this.baseUrl}/api_token.php?command=reset&token=${token}`)
+                .then
+                (
+                    data =>
+                    {
+                        if (data.response_code !== responseCode.SUCCESS || !data.token)
+                        {
+                            console.log(`OpenTDB responded with code ${data.response_code} to a token reset; getting a new token.`);
+                            return requestNewToken();
+                        }
+
+                        return state.set(SESSION_TOKENS, room.id, data.token).then(() => data.token);
+                    }
+                );
+            }
+        );
+    }
+
+    // Make a GET request to OpenTDB for the room with the given ID (null
+    // if it isn't for a room) through the scheduler. Returns a
+    // promise that resolves with the response body. Requests OpenTDB
+    // turns away for coming too fast are made again, more slowly, up to
+    // MAX_RATE_LIMIT_RETRIES times; retries counts the ones made so far.
+    get(roomId, url, retries = 0)
+    {
+        // Make the request again after backing off, or give up on it.
+        let retry = () =>
+        {
+            this.scheduler.backOff();
+            if (retries >= MAX_RATE_LIMIT_RETRIES)
+                throw new Error(`OpenTDB turned the request away for going too fast ${retries + 1} times in a row.`);
+
+            return this.get(roomId, url, retries + 1);
+        };
+
+        return this.scheduler.schedule(roomId, () => axios.get(url))
+        .then
+        (
+            response =>
+            {
+                if (response.data.response_code !== responseCode.RATE_LIMIT)
+                {
+                    this.scheduler.resetBackoff();
+                    return response.data;
+                }
+
+                return retry();
+            },
+            error =>
+            {
+                // OpenTDB also sends rate limit responses with HTTP status 429.
+                if (!error.response || error.response.status !== 429) throw error;
+                return retry();
+            }
+        );
+    }
+}
+
+module.exports              = OpenTDBProvider;
+module.exports.responseCode = responseCode;
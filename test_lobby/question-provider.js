@@ -0,0 +1,168 @@
+const trivia = require('./trivia-room');
+
+/*
+    The interface every question provider implements. A provider
+    supplies categories and questions to trivia rooms; question-source.js
+    picks the provider for a room based on its RoomConfiguration.
+
+    Providers describe raw questions in the same shape as an OpenTDB
+    result (see makeTriviaQuestion() below), so they all produce
+    identical TriviaQuestion objects.
+*/
+class QuestionProvider
+{
+    /*
+        | name | The unique name rooms use to select this provider. |
+    */
+    constructor(name)
+    {
+        this.name       = name;
+        this.categories = [];
+    }
+
+    // Return a promise that resolves with the provider's category list.
+    // Each category is an object with an id (number) and a name (string).
+    loadCategories()
+    {
+        return Promise.resolve(this.categories);
+    }
+
+    // Return the cached category list. Only valid once the promise returned
+    // by loadCategories() has resolved.
+    getCategories()
+    {
+        return this.categories;
+    }
+
+    // Return the category with the given ID, or undefined if no such
+    // category exists.
+    getCategoryById(id)
+    {
+        return this.categories.find(c => c.id === id);
+    }
+
+    // Fetch a question for the given room. Calls onComplete with a
+    // TriviaQuestion on success, or onError with an Error on failure.
+    getTriviaQuestionAsync(room, onComplete, onError)
+    {
+        onError(new Error(`Question provider '${this.name}' does not supply questions.`));
+    }
+
+    // Fetch up to amount questions for the given room at once. Calls
+    // onComplete with an array of TriviaQuestions (which may be shorter than
+    // asked for), or onError with an Error on failure. Providers that can
+    // fetch in batches override this; by default it fetches one question.
+    getTriviaQuestionsAsync(room, amount, onComplete, onError)
+    {
+        this.getTriviaQuestionAsync(room, q => onComplete([q]), onError);
+    }
+
+    // Forget any per-room state (session tokens, used questions, etc.).
+    // Called when a room is deleted.
+    releaseRoom(room) {}
+
+    // Return anything else admins should know about how the provider is
+    // doing, as plain data. See question-source.getProviderHealth().
+    getStatus()
+    {
+        return {};
+    }
+}
+
+// Passed to onError when a provider has no questions at all for a room's
+// category and difficulty, so asking again won't help.
+class NoQuestionsError extends Error {}
+
+// Build a TriviaQuestion from a raw question in the OpenTDB result format:
+/**
+ * {
+ *  type             : string (optional; 'multiple', 'boolean', 'text' or 'order',
+ *                     'multiple' if absent),
+ *  category         : string,
+ *  difficulty       : string,
+ *  question         : string,
+ *  correct_answer   : string,
+ *  incorrect_answers: string[],
+ *  accepted_answers : string[] (optional; text questions only: other spellings
+ *                     that count as right),
+ *  correct_order    : string[] (order questions only: the answers in the right
+ *                     order; correct_answer and incorrect_answers are ignored)
+ * }
+ */
+// 'type', 'accepted_answers' and 'correct_order' are our own additions;
+// OpenTDB only sends 'multiple' and 'boolean' questions.
+// If shuffleAnswers is false, the correct answer is always last (and
+// ordering questions keep their answers in the right order).
+function makeTriviaQuestion(result, shuffleAnswers = true)
+{
+    let type     = result.type || trivia.questionType.MULTIPLE;
+    let question = result.question;
+
+    switch (type)
+    {
+        case trivia.questionType.BOOLEAN:
+        {
+            // Always True then False, so clients can show them consistently.
+            let answers = ['True', 'False'];
+            let correct = answers.findIndex(a => a.toLowerCase() === result.correct_answer.toLowerCase());
+            return new trivia.TriviaQuestion(question, answers, correct, result.category, result.difficulty, type);
+        }
+
+        case trivia.questionType.TEXT:
+        {
+            let accepted = [result.correct_answer].concat(result.accepted_answers || []);
+            return new trivia.TriviaQuestion(question, [], accepted, result.category, result.difficulty, type);
+        }
+
+        case trivia.questionType.ORDER:
+        {
+            let answers = result.correct_order.slice();
+            if (shuffleAnswers) shuffle(answers);
+
+            // The index of each answer in the shown list, in the right order.
+            let order = result.correct_order.map(a => answers.indexOf(a));
+            return new trivia.TriviaQuestion(question, answers, order, result.category, result.difficulty, type);
+        }
+
+        default:
+        {
+            // Get the question data we want from the raw question.
+            let answers = result.incorrect_answers.slice();
+            answers.push(result.correct_answer);
+
+            // Shuffle the answer list so it isn't in the same order each time.
+            if (shuffleAnswers) shuffle(answers);
+
+            // Find the index of the correct answer in the answer list.
+            let correctIndex = answers.findIndex((a) => a === result.correct_answer);
+
+            // Construct the TriviaQuestion object that will represent the question.
+            // The correct index stays on the server; rooms only send getPublicView().
+            return new trivia.TriviaQuestion
+            (
+                question, 
+                answers, 
+                correctIndex, 
+                result.category, 
+                result.difficulty
+            );
+        }
+    }
+}
+
+// Shuffle the array in place.
+function shuffle(array)
+{
+    for (let i = 0; i < array.length; ++i)
+    {
+        let tmp          = array[i];
+        let newIndex     = Math.floor(Math.random() * array.length);
+
+        array[i]         = array[newIndex];
+        array[newIndex]  = tmp;
+    }
+}
+
+module.exports.QuestionProvider   = QuestionProvider;
+module.exports.NoQuestionsError   = NoQuestionsError;
+module.exports.makeTriviaQuestion = makeTriviaQuestion;
@@ -1,191 +1,392 @@
-const trivia = require('./trivia-room');
-const axios  = require('axios');
+const trivia                = require('./trivia-room');
+const OpenTDBProvider       = require('./opentdb-provider');
+const LocalQuestionProvider = require('./local-provider');
+const { NoQuestionsError }  = require('./question-provider');
+const sanitize              = require('./sanitize');
 
-// The list of available categories, as trivia.Category objects.
-let categories = [];
+// Maps provider names to the QuestionProvider that supplies them.
+let providers = {};
 
-// Maps room IDs to session names for the OpenTDB API.
-let sessionTokens = {};
+// The name of the provider used by rooms that don't pick one.
+let defaultProviderName = 'opentdb';
+
+// Maps provider names to their ProviderHealth.
+let health = {};
+
+/*
+    How a provider has been doing since the server started, for the admin
+    dashboard. Fetches that find no questions for a room's category and
+    difficulty (NoQuestionsError) don't count as failures; the provider
+    answered, it just had nothing.
+*/
+class ProviderHealth
+{
+    constructor()
+    {
+        this.loaded        = false; // true once its categories have loaded
+        this.fetches       = 0;     // batches of questions asked for
+        this.failures      = 0;
+        this.lastSuccessAt = null;  // ms since the epoch
+        this.lastFailureAt = null;
+        this.lastError     = null;  // the message of the last failure
+    }
+
+    // Count a fetch or category load. error is null if it worked.
+    record(error)
+    {
+        if (error && !(error instanceof NoQuestionsError))
+        {
+            this.failures++;
+            this.lastFailureAt = Date.now();
+            this.lastError     = error.message;
+        }
+        else this.lastSuccessAt = Date.now();
+    }
+}
+
+const prefetchSettings =
+{
+    // How many questions to ask a provider for at once.
+    batchSize: 10,
+
+    // Fetch the next batch in the background once a room has fewer than
+    // this many questions ready.
+    refillBelow: 3
+};
+
+/*
+    The questions fetched for a room that it hasn't been given yet, so the
+    next one is ready the moment the room asks for it.
+*/
+class QuestionBuffer
+{
+    constructor()
+    {
+        this.questions = [];
+        this.fetching  = false;
+        this.batchSize = prefetchSettings.batchSize;
+
+        // { onComplete, onError } for each request no question was ready for.
+        this.waiting = [];
+
+        // getQuestionKey() of every question fetched for the room.
+        this.seen = new Set();
+    }
+}
+
+// Maps room IDs to their QuestionBuffer.
+let buffers = {};
 
 // Returns a Promise that resolves when initialization is complete.
 // Put any code that should go after this module initializes in the
 // 'then' part of the returned Promise.
+//
+// A provider that fails to load is reported but doesn't stop the
+// server; if the default provider fails, the first provider that did
+// load becomes the default.
 function init()
 {
-    // Delete a room's session token when it is destroyed.
+    if (Object.keys(providers).length === 0)
+    {
+        registerProvider(new OpenTDBProvider());
+        registerProvider(new LocalQuestionProvider());
+    }
+
+    // Let the providers forget a room's state when it is destroyed.
     trivia.triviaEventEmitter.on
     (
         trivia.events.DELETE_ROOM,
-        (room) => delete sessionTokens[room.id]
+        (room) =>
+        {
+            delete buffers[room.id];
+            Object.values(providers).forEach(p => p.releaseRoom(room));
+        }
     )
     
     return loadCategories();
 }
 
-function getTriviaQuestionAsync(room, onComplete, onError)
+// Make a provider available to rooms under its name.
+function registerProvider(provider)
 {
-    let url = 'https://opentdb.com/api.php?amount=1';
+    providers[provider.name] = provider;
+    health[provider.name]    = new ProviderHealth();
+}
 
-    if (room.config.hasDifficulty()) url += `&difficulty=${room.config.difficulty}`;
-    if (room.config.hasCategory())   url += `&category=${room.config.category.id}`;
+// Return the provider with the given name, or the default provider if
+// no name is given. Returns null if no such provider exists.
+function getProvider(name = null)
+{
+    let providerName = name || defaultProviderName;
+    return providerName in providers ? providers[providerName] : null;
+}
 
-    // Make the request.
-    //
+// Return the names of every registered provider.
+function getProviderNames()
+{
+    return Object.keys(providers);
+}
 
-    if (room.id in sessionTokens)
-    {
-        // Make the request. If it turns out our session token
-        // has expired (e.message === '4'), then make a
-        // new request for a token and then another question request.
-        let newUrl = url + `&token=${sessionTokens[room.id]}`;
-        makeQuestionRequest(newUrl).then(q => onComplete(q))
-        .catch
-        (
-            e => 
-            {
-                if (e.message === '4')
-                {
-                    console.log(`Resetting session token for room ${room.id}.`);
-                    getTokenThenRequestQuestion(room, url, onComplete, onError);
-                }
-                else onError(e);
-            }
-        );
-    }
-    else
-    {
-        // Get a session token and THEN make the request.
-        console.log('Getting session token...');
-        getTokenThenRequestQuestion(room, url, onComplete, onError);
-    }
+// Set the provider used by rooms that don't pick one.
+function setDefaultProvider(name)
+{
+    if (!(name in providers))
+        throw new Error(`Unknown question provider '${name}'.`);
+
+    defaultProviderName = name;
 }
 
-// Return a promise that resolves with an array of all of the
-// categories provided by the question source. Each category
-// is an object with two parameters: id (a number), and name
-// (a string).
-//
-// Example: [ {id: 9, name: "General Knowledge"}, ... ]
-function loadCategories()
-{ 
-    if (categories.length === 0)
+function getDefaultProviderName()
+{
+    return defaultProviderName;
+}
+
+// Give the room its next question from the provider its configuration
+// selects. Questions are fetched in batches ahead of time, so there is
+// usually one ready; if not, onComplete is called once the next batch
+// arrives. A room never gets the same question twice until it has seen
+// everything the provider has for it. Question text is normalized to
+// plain Unicode.
+function getTriviaQuestionAsync(room, onComplete, onError)
+{
+    let provider = getProvider(room.config.questionProvider);
+    if (!provider)
     {
-        // If the response isn't cached, make a request for the
-        // category list.
-        return axios.get('https://opentdb.com/api_category.php')
-            .then
-            (
-                response =>
-                {
-                    categories = response.data.trivia_categories;
-                    return categories;
-                }
-            );
+        onError(new Error(`Unknown question provider '${room.config.questionProvider}'.`));
+        return;
     }
-    else
+
+    if (!(room.id in buffers))
+        buffers[room.id] = new QuestionBuffer();
+
+    let buffer = buffers[room.id];
+    buffer.waiting.push({ onComplete: onComplete, onError: onError });
+
+    serveWaiting(buffer);
+    refillBuffer(room, provider, buffer);
+}
+
+// Hand out ready questions to the requests waiting for them.
+function serveWaiting(buffer)
+{
+    while (buffer.waiting.length > 0 && buffer.questions.length > 0)
     {
-        // ...Otherwise, return the cached response.
-        return new Promise
-        (
-            (resolve, _) => resolve(categories)
-        );
+        let request  = buffer.waiting.shift();
+        let question = buffer.questions.shift();
+        setImmediate(() => request.onComplete(question));
     }
 }
 
-// Return the Category object with the given ID, or undefined
-// if no such category exists.
-function getCategoryById(id)
+// Fetch another batch of questions if the room is waiting for one or is
+// running low.
+function refillBuffer(room, provider, buffer)
 {
-    return categories.find(c => c.id === id);
+    if (buffer.fetching) return;
+    if (buffer.waiting.length === 0 && buffer.questions.length >= prefetchSettings.refillBelow) return;
+
+    buffer.fetching = true;
+    health[provider.name].fetches++;
+    provider.getTriviaQuestionsAsync
+    (
+        room,
+        buffer.batchSize,
+        (questions) =>
+        {
+            buffer.fetching = false;
+            health[provider.name].record(null);
+
+            if (questions.length === 0)
+            {
+                failWaiting(room, buffer, new Error(`Question provider '${provider.name}' sent no questions.`));
+                return;
+            }
+
+            buffer.batchSize = prefetchSettings.batchSize;
+            addQuestions(room, buffer, questions.map(normalizeQuestion));
+            serveWaiting(buffer);
+
+            if (buffer.waiting.length > 0) refillBuffer(room, provider, buffer);
+        },
+        (error) =>
+        {
+            buffer.fetching = false;
+            health[provider.name].record(error);
+            failWaiting(room, buffer, error);
+        }
+    );
 }
 
-// Returns a list of all of the available categories as an array
-// of Category objects. Be sure you have called loadCategories()
-// first, and that the promise returned by loadCategories()
-// has resolved.
-function getCategories()
+// Add the questions the room hasn't seen to its buffer. If it has seen
+// all of them, the provider has run out of new ones, so start over.
+function addQuestions(room, buffer, questions)
 {
-    return categories;
+    let fresh = questions.filter(q => !buffer.seen.has(getQuestionKey(q)));
+
+    if (fresh.length === 0)
+    {
+        console.log(`Room ${room.id} has seen every question its provider sent; starting over.`);
+        buffer.seen.clear();
+        fresh = questions;
+    }
+
+    fresh.forEach
+    (
+        q =>
+        {
+            // The same question may come twice in one batch.
+            let key = getQuestionKey(q);
+            if (buffer.seen.has(key)) return;
+
+            buffer.seen.add(key);
+            buffer.questions.push(q);
+        }
+    );
 }
 
-function getSessionTokenForRoom(room)
+// Pass a failed fetch on to the requests waiting for a question. The next
+// fetch asks for a single question, which can succeed where a whole batch
+// can't, e.g. in a category with only a few questions left.
+function failWaiting(room, buffer, error)
 {
-    let url = '';
+    buffer.batchSize = 1;
 
-    // If there is already a token for this room, generate the URL required to reset
-    // the token. Otherwise, request a new token.
-    if (room.id in sessionTokens) 
-        url = `https://opentdb.com/api_token.php?command=reset&token=${sessionTokens[room.id]}`;
-    else 
-        url = 'https://opentdb.com/api_token.php?command=request';
+    let waiting    = buffer.waiting;
+    buffer.waiting = [];
 
+    if (waiting.length === 0)
+        console.log(`Couldn't prefetch questions for room ${room.id}: ${error.message}`);
 
-    return axios.get(url).then(response => sessionTokens[room.id] = response.data.token);
+    waiting.forEach(request => request.onError(error));
 }
 
-function makeQuestionRequest(url)
+// Questions with the same key are the same question.
+function getQuestionKey(question)
 {
-    return axios.get(url)
-    .then
+    return `${question.type} ${question.question.toLowerCase()}`;
+}
+
+// Decode the HTML entities in the question's text and strip any markup,
+// so clients can show it as plain text. Returns the question.
+function normalizeQuestion(question)
+{
+    question.question     = sanitize.normalizeProviderText(question.question);
+    question.answers      = question.answers.map(sanitize.normalizeProviderText);
+    question.categoryName = sanitize.normalizeProviderText(question.categoryName);
+
+    // Text questions are graded against their accepted answers, which
+    // must look like what players see and type.
+    if (question.type === trivia.questionType.TEXT)
+        question.correctAnswer = question.correctAnswer.map(sanitize.normalizeProviderText);
+
+    return question;
+}
+
+// Return a promise that resolves once every provider has tried to load its
+// categories. Resolves with the default provider's category list.
+function loadCategories()
+{ 
+    let loads = Object.values(providers).map
     (
-        response =>
-        {
-            if (response.data.response_code == 4)
+        p => p.loadCategories()
+        .then(() => p.getCategories().forEach(c => c.name = sanitize.normalizeProviderText(c.name)))
+        .then
+        (
+            () =>
             {
-                // Need to reset the token.
-                throw new Error('4');
+                health[p.name].loaded = true;
+                health[p.name].record(null);
+                return true;
             }
-            
-            response = response.data.results[0];
-
-            // Get the question data we want from the API response.
-            let question = response.question;
-            let answers  = response.incorrect_answers;
-            answers.push(response.correct_answer);
-
-            // Shuffle the answer list so it isn't in the same order each time.
-            for (let i = 0; i < answers.length; ++i)
+        )
+        .catch
+        (
+            error => 
             {
-                let tmp           = answers[i];
-                let newIndex      = Math.floor(Math.random() * answers.length);
-
-                answers[i]        = answers[newIndex];
-                answers[newIndex] = tmp;
+                console.log(`Question provider '${p.name}' failed to load: ${error.message}`);
+                health[p.name].record(error);
+                return false;
             }
+        )
+    );
+
+    return Promise.all(loads).then
+    (
+        results =>
+        {
+            let names  = Object.keys(providers);
+            let loaded = names.filter((_, i) => results[i]);
 
-            // Find the index of the correct answer in the answer list.
-            let correctIndex = answers.findIndex((a) => a === response.correct_answer);
+            if (loaded.length === 0)
+                throw new Error('No question provider could be loaded.');
 
-            // Construct the TriviaQuestion object that will represent the question.
-            let triviaQuestion            = new trivia.TriviaQuestion(question, answers, correctIndex);
-            triviaQuestion.categoryName   = response.category;
-            triviaQuestion.difficulty     = response.difficulty;
+            if (!loaded.includes(defaultProviderName))
+            {
+                console.log(`Falling back to question provider '${loaded[0]}'.`);
+                defaultProviderName = loaded[0];
+            }
 
-            return triviaQuestion;
+            return getCategories();
         }
     );
 }
 
-function getTokenThenRequestQuestion(room, url, onComplete, onError)
+// Return the Category object with the given ID from the given provider
+// (or the default provider), or undefined if no such category exists.
+function getCategoryById(id, providerName = null)
+{
+    let provider = getProvider(providerName);
+    return provider ? provider.getCategoryById(id) : undefined;
+}
+
+// Returns a list of all of the categories the given provider (or the
+// default provider) offers as an array of Category objects. Be sure
+// you have called loadCategories() first, and that the promise returned
+// by loadCategories() has resolved.
+function getCategories(providerName = null)
+{
+    let provider = getProvider(providerName);
+    return provider ? provider.getCategories() : [];
+}
+
+// Return how every provider is doing, for the admin dashboard:
+/**
+ * [{
+ *  name         : string,
+ *  isDefault    : boolean,
+ *  categoryCount: number,
+ *  roomCount    : number, the trivia rooms that get their questions from it
+ *  ...the fields of ProviderHealth,
+ *  status       : whatever the provider's getStatus() adds, e.g. OpenTDB's request queue
+ * }]
+ */
+function getProviderHealth()
 {
-    getSessionTokenForRoom(room)
-    .then
+    let rooms = trivia.getRoomIdList().map(trivia.getRoomById);
+
+    return Object.values(providers).map
     (
-        t => 
-        {
-            console.log(`Got session token: '${t}'.`)
-            sessionTokens[room.id] = t;
-            url += `&token=${t}`;
-            makeQuestionRequest(url)
-                .then(q => onComplete(q))
-                .catch(error => onError(error));
-        }
-    )
-    .catch(error => onError(error));
+        provider =>
+        ({
+            name         : provider.name,
+            isDefault    : provider.name === defaultProviderName,
+            categoryCount: provider.getCategories().length,
+            roomCount    : rooms.filter(room => getProvider(room.config.questionProvider) === provider).length,
+            ...health[provider.name],
+            status       : provider.getStatus()
+        })
+    );
 }
 
 module.exports.getTriviaQuestionAsync = getTriviaQuestionAsync;
+module.exports.prefetchSettings       = prefetchSettings;
 module.exports.loadCategories         = loadCategories;
 module.exports.getCategories          = getCategories;
 module.exports.getCategoryById        = getCategoryById;
-module.exports.init                   = init;
\ No newline at end of file
+module.exports.registerProvider       = registerProvider;
+module.exports.getProvider            = getProvider;
+module.exports.getProviderNames       = getProviderNames;
+module.exports.setDefaultProvider     = setDefaultProvider;
+module.exports.getDefaultProviderName = getDefaultProviderName;
+module.exports.getProviderHealth      = getProviderHealth;
+module.exports.init                   = init;
+module.exports.NoQuestionsError       = NoQuestionsError;
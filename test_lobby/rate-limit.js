@@ -0,0 +1,235 @@
+/*
+    Keeps any one client from flooding the server with events.
+
+    Each limited event has a token bucket per socket and another per IP
+    address, so opening more sockets doesn't buy a client more room. An
+    event that finds either bucket empty is dropped, and the client is
+    dealt with more firmly the more often it happens:
+
+        1. It is warned with a 'rate limited' event.
+        2. After enough warnings it is muted: its chat messages and whispers
+           are dropped for a while and it is told so with a 'muted' event.
+        3. After enough mutes it is sent 'disconnected for spam' and
+           disconnected.
+
+    Offenses are tracked per IP address, so reconnecting doesn't wipe the
+    slate clean. Everything is configured in rateLimits below.
+*/
+
+const rateLimits =
+{
+    // The limited events. Each bucket holds up to burst tokens and regains
+    // perSecond tokens every second; every event costs one token.
+    events:
+    {
+        'message'     : { socket: { burst: 5, perSecond: 1      }, address: { burst: 15, perSecond: 3     } },
+        'whisper'     : { socket: { burst: 5, perSecond: 1      }, address: { burst: 15, perSecond: 3     } },
+        'create room' : { socket: { burst: 3, perSecond: 1 / 20 }, address: { burst: 6,  perSecond: 1 / 10 } },
+        'set nickname': { socket: { burst: 5, perSecond: 1 / 2  }, address: { burst: 20, perSecond: 1     } },
+        'register'    : { socket: { burst: 3, perSecond: 1 / 10 }, address: { burst: 6,  perSecond: 1 / 10 } },
+        'log in'      : { socket: { burst: 5, perSecond: 1 / 10 }, address: { burst: 10, perSecond: 1 / 10 } },
+
+        // Enough to hop between rooms, too few to guess room passwords.
+        'join room'   : { socket: { burst: 5, perSecond: 1 / 5  }, address: { burst: 15, perSecond: 1 / 2  } }
+    },
+
+    // How many rooms one user may have created at once, and how many rooms
+    // may exist at once in total.
+    maxRoomsPerUser: 2,
+    maxRooms       : 100,
+
+    // Dropped events within this many seconds of each other count as one
+    // run of offenses; a quiet spell starts the count again.
+    offenseWindowSeconds: 60,
+
+    // The offense that gets a client muted instead of warned.
+    offensesBeforeMute: 5,
+    muteSeconds       : 30,
+
+    // A client that has been muted this many times is disconnected the
+    // next time instead.
+    mutesBeforeDisconnect: 3
+};
+
+// The events a mute silences.
+const chatEvents = ['message', 'whisper'];
+
+// How often to forget buckets and offenders that have gone quiet.
+const CLEANUP_INTERVAL_SECONDS = 60;
+
+/*
+    Allows bursts of up to burst events, refilling at perSecond events
+    per second.
+*/
+class TokenBucket
+{
+    /*
+        | burst     | The most tokens the bucket can hold.         |
+        | perSecond | How many tokens the bucket regains a second. |
+    */
+    constructor(burst, perSecond)
+    {
+        this.burst      = burst;
+        this.perSecond  = perSecond;
+        this.tokens     = burst;
+        this.lastRefill = Date.now();
+    }
+
+    // Take a token. Returns false, taking nothing, if the bucket is empty.
+    take()
+    {
+        this.refill();
+        if (this.tokens < 1) return false;
+
+        --this.tokens;
+        return true;
+    }
+
+    // The number of seconds until the bucket has a token again.
+    getSecondsUntilToken()
+    {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.perSecond);
+    }
+
+    isFull()
+    {
+        this.refill();
+        return this.tokens >= this.burst;
+    }
+
+    refill()
+    {
+        let now = Date.now();
+        this.tokens     = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.perSecond);
+        this.lastRefill = now;
+    }
+}
+
+// Maps `${address} ${eventName}` to that address's bucket for the event.
+let addressBuckets = {};
+
+// Maps addresses to { offenses, lastOffense, mutes, mutedUntil }.
+let offenders = {};
+
+// Forget the buckets that have filled back up and the offenders who have
+// served their time, so the maps don't grow forever.
+setInterval
+(
+    () =>
+    {
+        let now = Date.now();
+
+        for (let key in addressBuckets)
+            if (addressBuckets[key].isFull()) delete addressBuckets[key];
+
+        for (let address in offenders)
+        {
+            let offender = offenders[address];
+            if (offender.mutedUntil < now && now - offender.lastOffense > rateLimits.offenseWindowSeconds * 1000)
+                delete offenders[address];
+        }
+    },
+    CLEANUP_INTERVAL_SECONDS * 1000
+).unref();
+
+// Return socket.io middleware that enforces the limits on the given socket.
+function limitEvents(socket)
+{
+    let address       = socket.handshake.address;
+    let socketBuckets = {};
+
+    return (packet, next) =>
+    {
+        let eventName = packet[0];
+        let limit     = rateLimits.events[eventName];
+        if (!limit) return next();
+
+        // Drop whatever was still queued when the socket was disconnected.
+        if (socket.disconnected) return;
+
+        if (chatEvents.includes(eventName) && isMuted(address))
+        {
+            let secondsLeft = Math.ceil((offenders[address].mutedUntil - Date.now()) / 1000);
+            addOffense(socket, address, eventName, secondsLeft);
+            return;
+        }
+
+        if (!(eventName in socketBuckets))
+            socketBuckets[eventName] = new TokenBucket(limit.socket.burst, limit.socket.perSecond);
+
+        let key = `${address} ${eventName}`;
+        if (!(key in addressBuckets))
+            addressBuckets[key] = new TokenBucket(limit.address.burst, limit.address.perSecond);
+
+        let socketBucket  = socketBuckets[eventName];
+        let addressBucket = addressBuckets[key];
+
+        // Only take from the address's bucket if the socket's has a token,
+        // so one spamming socket doesn't drain it for the rest as quickly.
+        if (socketBucket.take() && addressBucket.take()) return next();
+
+        let retryAfter = Math.max(socketBucket.getSecondsUntilToken(), addressBucket.getSecondsUntilToken());
+        addOffense(socket, address, eventName, retryAfter);
+    };
+}
+
+// Returns true if chat messages from the address are being dropped.
+function isMuted(address)
+{
+    return address in offenders && offenders[address].mutedUntil > Date.now();
+}
+
+// Count a dropped event against the address and warn, mute or disconnect
+// the socket that sent it.
+function addOffense(socket, address, eventName, retryAfter)
+{
+    let now      = Date.now();
+    let offender = offenders[address];
+
+    if (!offender || now - offender.lastOffense > rateLimits.offenseWindowSeconds * 1000)
+    {
+        // Mutes are remembered for as long as the offender is.
+        offender = offenders[address] =
+        {
+            offenses   : 0,
+            lastOffense: now,
+            mutes      : offender ? offender.mutes      : 0,
+            mutedUntil : offender ? offender.mutedUntil : 0
+        };
+    }
+
+    offender.lastOffense = now;
+
+    if (++offender.offenses < rateLimits.offensesBeforeMute)
+    {
+        /**
+         * 'rate limited' comes with:
+         * {
+         *  event            : string, the event that was dropped,
+         *  retryAfterSeconds: number, how long until it will be accepted again
+         * }
+         */
+        socket.emit('rate limited', { event: eventName, retryAfterSeconds: retryAfter });
+        return;
+    }
+
+    offender.offenses = 0;
+
+    if (offender.mutes >= rateLimits.mutesBeforeDisconnect)
+    {
+        console.log(`Disconnecting ${address} for spamming.`);
+        socket.emit('disconnected for spam');
+        socket.disconnect(true);
+        return;
+    }
+
+    console.log(`Muting ${address} for ${rateLimits.muteSeconds} seconds.`);
+    ++offender.mutes;
+    offender.mutedUntil = now + rateLimits.muteSeconds * 1000;
+    socket.emit('muted', { seconds: rateLimits.muteSeconds });
+}
+
+module.exports.limitEvents = limitEvents;
+module.exports.rateLimits  = rateLimits;
+module.exports.TokenBucket = TokenBucket;
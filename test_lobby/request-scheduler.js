@@ -0,0 +1,92 @@
+/*
+    Runs requests to a rate-limited API one at a time, in the order they
+    were scheduled, with at least intervalSeconds between the start of
+    one and the start of the next. When the API says we're going too
+    fast, call backOff() and the gap doubles (up to maxBackoffSeconds, but
+    never less than MIN_BACKOFF_SECONDS) until resetBackoff() is called.
+
+    Every request is scheduled with a tag, so the ones nobody needs any
+    more (e.g. those for a deleted room) can be cancelled together.
+*/
+// The least gap between requests after a backOff(), so a scheduler with
+// no interval still slows down when it is turned away.
+const MIN_BACKOFF_SECONDS = 1;
+
+class RequestScheduler
+{
+    /*
+        | intervalSeconds   | The least time between two requests.                 |
+        | maxBackoffSeconds | The most time between two requests when backing off. |
+    */
+    constructor(intervalSeconds, maxBackoffSeconds)
+    {
+        this.intervalSeconds   = intervalSeconds;
+        this.maxBackoffSeconds = maxBackoffSeconds;
+        this.gapSeconds        = intervalSeconds;
+        this.queue             = []; // { tag, makeRequest, resolve, reject }
+        this.lastStart         = 0;
+        this.timerId           = null;
+    }
+
+    // Queue a request. makeRequest is called when it is the request's turn
+    // and must return a promise. Returns a promise that settles the same
+    // way, or rejects if the request is cancelled first.
+    schedule(tag, makeRequest)
+    {
+        return new Promise
+        (
+            (resolve, reject) =>
+            {
+                this.queue.push({ tag: tag, makeRequest: makeRequest, resolve: resolve, reject: reject });
+                this.runNext();
+            }
+        );
+    }
+
+    // Drop the queued requests with the given tag. Their promises reject.
+    cancel(tag)
+    {
+        let cancelled = this.queue.filter(r => r.tag === tag);
+        this.queue    = this.queue.filter(r => r.tag !== tag);
+
+        cancelled.forEach(r => r.reject(new Error('Request cancelled.')));
+    }
+
+    // Widen the gap between requests after the API turned one away.
+    backOff()
+    {
+        this.gapSeconds = Math.max(MIN_BACKOFF_SECONDS, Math.min(this.maxBackoffSeconds, this.gapSeconds * 2));
+        console.log(`Rate limited; waiting ${this.gapSeconds} seconds between requests.`);
+    }
+
+    resetBackoff()
+    {
+        this.gapSeconds = this.intervalSeconds;
+    }
+
+    // Start the next request once the gap since the last one has passed.
+    runNext()
+    {
+        if (this.timerId !== null || this.queue.length === 0) return;
+
+        let wait = Math.max(0, this.lastStart + this.gapSeconds * 1000 - Date.now());
+        this.timerId = setTimeout
+        (
+            () =>
+            {
+                this.timerId = null;
+                if (this.queue.length === 0) return;
+
+                let request    = this.queue.shift();
+                this.lastStart = Date.now();
+
+                // Requests don't wait for each other to finish, only to start.
+                request.makeRequest().then(request.resolve, request.reject);
+                this.runNext();
+            },
+            wait
+        );
+    }
+}
+
+module.exports = RequestScheduler;
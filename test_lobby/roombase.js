@@ -1,10 +1,42 @@
+const chat       = require('./chat');
+const sanitize   = require('./sanitize');
+const validation = require('./validation');
+
+// Why a user wasn't allowed into a room. Sent to the client in
+// 'join room failed' events.
+const joinError =
+{
+    NOT_FOUND       : 'not found',
+    WRONG_PASSWORD  : 'wrong password',
+    ROOM_FULL       : 'room full',
+    BANNED          : 'banned',
+    NO_SPECTATORS   : 'no spectators',
+    GAME_IN_PROGRESS: 'game in progress',
+    CLOSED          : 'closed'
+};
+
 class RoomBase
 {
     constructor(ioInstance)
     {
-        this.id    = '';
-        this.users = [];
-        this.io    = ioInstance;
+        this.id      = '';
+        this.name    = '';
+        this.users   = [];
+        this.io      = ioInstance;
+        this.creator = null; // The user who created the room, if any.
+
+        // Recent chat, shown to people who join.
+        this.chatHistory = new chat.ChatHistory();
+
+        // Lower-case nicknames of the users who may not chat here.
+        this.mutedNicknames = new Set();
+
+        // Whether to post a system message when someone joins or leaves.
+        this.announceArrivals = true;
+
+        // true once an admin has closed the room: nobody new may join, and
+        // it is deleted when the last user leaves.
+        this.closing = false;
     }
 
     // Add a user to the room. Sets the user's room to this
@@ -26,6 +58,65 @@ class RoomBase
         this.sendUserJoined(user);
         
         this.sendUserList(user);
+
+        // Show the newcomer what was said before they came in.
+        this.sendChatHistory(user);
+        if (this.announceArrivals) this.sendSystemMessage(`${user.nickname} joined.`);
+    }
+
+    // Return the joinError that keeps the user out of this room, or null
+    // if they may join. Closed rooms let nobody in. Rooms whose config
+    // has a password or maxPlayers (0 meaning unlimited) enforce them
+    // here; passwordRight says whether the user gave the right password
+    // (see needsPassword()). Spectators don't take up a player's place,
+    // so a full room still lets them in.
+    getJoinError(user, passwordRight = false, inviteCode = null, asSpectator = false)
+    {
+        if (this.isUserInRoom(user)) return null;
+
+        if (this.closing)
+            return joinError.CLOSED;
+        if (asSpectator && !this.canSpectate())
+            return joinError.NO_SPECTATORS;
+        if (this.needsPassword(user, inviteCode) && !passwordRight)
+            return joinError.WRONG_PASSWORD;
+        if (!asSpectator && this.isFull())
+            return joinError.ROOM_FULL;
+
+        return null;
+    }
+
+    // Returns true if the user has to give the room's password to join.
+    // The password is kept hashed in the config; checking one takes a
+    // while, so it is done before getJoinError(). A matching inviteCode
+    // lets the user in without it.
+    needsPassword(user, inviteCode = null)
+    {
+        let config    = this.config || {};
+        let isInvited = this.inviteCode && inviteCode === this.inviteCode;
+
+        return !!config.password && !isInvited && !this.isUserInRoom(user);
+    }
+
+    // Returns true if no more players may join.
+    isFull()
+    {
+        let config = this.config || {};
+        return !!config.maxPlayers && this.getPlayerCount() >= config.maxPlayers;
+    }
+
+    // The number of users playing in the room. Rooms with spectators
+    // don't count them.
+    getPlayerCount()
+    {
+        return this.users.length;
+    }
+
+    // Returns true if users may join the room to watch. Rooms that allow it
+    // implement addSpectator(user).
+    canSpectate()
+    {
+        return false;
     }
 
     // Remove a user from the room.
@@ -38,10 +129,35 @@ class RoomBase
         // the room.
         user.leaveRoom();
         this.sendUserLeft(user);
+        if (this.announceArrivals) this.sendSystemMessage(`${user.nickname} left.`);
+    }
+
+    // Called when a user who is still in this room comes back on a new
+    // socket after their connection dropped. Rooms that listen for
+    // events on the user's socket should start listening again here.
+    reconnectUser(user)
+    {
+        this.sendUserReconnected(user);
+        this.sendUserList(user);
+        this.sendChatHistory(user);
+    }
+
+    // Called when a user in this room loses their connection. They stay
+    // in the room while they have a chance to reconnect.
+    disconnectUser(user)
+    {
+        this.sendUserReconnecting(user);
     }
 
     // Get this room's unique ID.
     getId() { return this.id; }
+
+    // Set the name the room is listed under. Markup and control characters
+    // are removed.
+    setName(name)
+    {
+        this.name = sanitize.sanitizeText(name);
+    }
     
     // Notify all users in the room that the given user has joined.
     sendUserJoined(user)
@@ -55,6 +171,19 @@ class RoomBase
         this.io.to(this.id).emit('user left', user.nickname);
     }
 
+    // Notify all users in the room that the given user lost their
+    // connection and may come back.
+    sendUserReconnecting(user)
+    {
+        this.io.to(this.id).emit('user reconnecting', user.nickname);
+    }
+
+    // Notify all users in the room that the given user is back.
+    sendUserReconnected(user)
+    {
+        this.io.to(this.id).emit('user reconnected', user.nickname);
+    }
+
     // Send the user list to the given user.
     sendUserList(user)
     {
@@ -63,10 +192,85 @@ class RoomBase
         user.socket.emit('user list', userList);
     }
 
-    // Send a message from the given user to everyone in the room.
+    // Send a message from the given user to everyone in the room, starring
+    // out filtered words. Muted users get an error instead.
     sendMessage(user, message)
     {
-        this.io.to(this.id).emit('message', {nickname: user.nickname, message: message});
+        if (!this.canChat(user, 'message')) return;
+
+        let chatMessage = sanitizeMessage(chat.makeUserMessage(user, message));
+        if (!chatMessage.message) return;
+
+        this.chatHistory.add(chatMessage);
+        this.io.to(this.id).emit('message', chatMessage);
+    }
+
+    // Send a message from the given user to the user in this room with the
+    // given nickname. Only the two of them see it, and it isn't kept in
+    // the room's history.
+    sendWhisper(user, nickname, message)
+    {
+        if (!this.canChat(user, 'whisper')) return;
+
+        let recipient = this.users.find(u => u.nickname === nickname);
+        if (!recipient)
+        {
+            validation.sendError(user.socket, 'whisper', validation.errorCode.UNKNOWN_USER, `${nickname} isn't in this room.`);
+            return;
+        }
+
+        let whisper = sanitizeMessage(chat.makeWhisper(user, recipient, message));
+        if (!whisper.message) return;
+
+        recipient.socket.emit('message', whisper);
+        if (recipient !== user) user.socket.emit('message', whisper);
+    }
+
+    // Send a message from the server to everyone in the room.
+    sendSystemMessage(message)
+    {
+        let chatMessage = sanitizeMessage(chat.makeSystemMessage(message));
+        this.chatHistory.add(chatMessage);
+        this.io.to(this.id).emit('message', chatMessage);
+    }
+
+    // Send the user the room's recent messages, oldest first, in a
+    // 'chat history' event.
+    sendChatHistory(user)
+    {
+        user.socket.emit('chat history', this.chatHistory.getMessages());
+    }
+
+    // Keep the user with the given nickname from chatting in this room,
+    // even if they leave and come back.
+    muteUser(nickname)
+    {
+        let key = String(nickname).toLowerCase();
+        if (this.mutedNicknames.has(key)) return;
+
+        this.mutedNicknames.add(key);
+        this.sendSystemMessage(`${nickname} was muted.`);
+    }
+
+    unmuteUser(nickname)
+    {
+        if (!this.mutedNicknames.delete(String(nickname).toLowerCase())) return;
+        this.sendSystemMessage(`${nickname} was unmuted.`);
+    }
+
+    isMuted(user)
+    {
+        return this.mutedNicknames.has(user.nickname.toLowerCase());
+    }
+
+    // Returns true if the user may chat here. If they may not, they are
+    // sent an error for the event they tried.
+    canChat(user, eventName)
+    {
+        if (!this.isMuted(user)) return true;
+
+        validation.sendError(user.socket, eventName, validation.errorCode.MUTED, 'You are muted in this room.');
+        return false;
     }
 
     // Returns true if the given user is in this room,
@@ -77,4 +281,13 @@ class RoomBase
     }
 }
 
-module.exports = RoomBase;
\ No newline at end of file
+// Strip markup and control characters from the text of a chat message.
+// The names in it are plain already (see nicknameRule in validation.js).
+function sanitizeMessage(message)
+{
+    message.message = sanitize.sanitizeText(message.message);
+    return message;
+}
+
+module.exports           = RoomBase;
+module.exports.joinError = joinError;
\ No newline at end of file
@@ -0,0 +1,93 @@
+/*
+    Turns text from outside the server into plain Unicode that is safe to
+    show anywhere.
+
+    Question providers may send HTML-encoded text (OpenTDB sends
+    '&quot;' for '"'), and anything a user types could contain markup.
+    Clients are sent plain text only; they should never need to inject
+    what they are sent as HTML.
+*/
+
+// The named entities OpenTDB and similar sources are known to use.
+// Numeric entities ('&#039;', '&#x27;') are decoded for any character.
+const namedEntities =
+{
+    amp   : '&',  lt    : '<',  gt    : '>',  quot  : '"',
+    apos  : '\'', nbsp  : ' ',  shy   : '',   copy  : '©',
+    reg   : '®',  trade : '™',  deg   : '°',  plusmn: '±',
+    times : '×',  divide: '÷',  micro : 'µ',  middot: '·',
+    para  : '¶',  sect  : '§',  pound : '£',  euro  : '€',
+    yen   : '¥',  cent  : '¢',  laquo : '«',  raquo : '»',
+    lsquo : '‘',  rsquo : '’',  ldquo : '“',  rdquo : '”',
+    sbquo : '‚',  bdquo : '„',  ndash : '–',  mdash : '—',
+    hellip: '…',  bull  : '•',  prime : '′',  Prime : '″',
+    iexcl : '¡',  iquest: '¿',  sup2  : '²',  sup3  : '³',
+    frac12: '½',  frac14: '¼',  frac34: '¾',  pi    : 'π',
+    Agrave: 'À',  Aacute: 'Á',  Acirc : 'Â',  Atilde: 'Ã',
+    Auml  : 'Ä',  Aring : 'Å',  AElig : 'Æ',  Ccedil: 'Ç',
+    Egrave: 'È',  Eacute: 'É',  Ecirc : 'Ê',  Euml  : 'Ë',
+    Igrave: 'Ì',  Iacute: 'Í',  Icirc : 'Î',  Iuml  : 'Ï',
+    Ntilde: 'Ñ',  Ograve: 'Ò',  Oacute: 'Ó',  Ocirc : 'Ô',
+    Otilde: 'Õ',  Ouml  : 'Ö',  Oslash: 'Ø',  Ugrave: 'Ù',
+    Uacute: 'Ú',  Ucirc : 'Û',  Uuml  : 'Ü',  Yacute: 'Ý',
+    szlig : 'ß',  agrave: 'à',  aacute: 'á',  acirc : 'â',
+    atilde: 'ã',  auml  : 'ä',  aring : 'å',  aelig : 'æ',
+    ccedil: 'ç',  egrave: 'è',  eacute: 'é',  ecirc : 'ê',
+    euml  : 'ë',  igrave: 'ì',  iacute: 'í',  icirc : 'î',
+    iuml  : 'ï',  ntilde: 'ñ',  ograve: 'ò',  oacute: 'ó',
+    ocirc : 'ô',  otilde: 'õ',  ouml  : 'ö',  oslash: 'ø',
+    ugrave: 'ù',  uacute: 'ú',  ucirc : 'û',  uuml  : 'ü',
+    yacute: 'ý',  yuml  : 'ÿ',  OElig : 'Œ',  oelig : 'œ',
+    Scaron: 'Š',  scaron: 'š',  Yuml  : 'Ÿ',  eth   : 'ð',
+    ETH   : 'Ð',  thorn : 'þ',  THORN : 'Þ'
+};
+
+// Anything that looks like an HTML tag or comment. A '<' that isn't
+// followed by a letter, '/' or '!' is left alone, so 'a < b' survives.
+const tagPattern = /<!--[\s\S]*?-->|<\/?[a-zA-Z!][^<>]*>/g;
+
+// Control characters, and the invisible characters that can reorder or
+// hide the text around them.
+const controlPattern = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/g;
+
+// Replace every HTML entity in the text with the character it stands for.
+// Entities we don't know are left as they are.
+function decodeEntities(text)
+{
+    return String(text).replace
+    (
+        /&(#[0-9]+|#[xX][0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);/g,
+        (entity, name) =>
+        {
+            if (name[0] !== '#')
+                return namedEntities.hasOwnProperty(name) ? namedEntities[name] : entity;
+
+            let code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+    );
+}
+
+// Return the text with markup and control characters removed, runs of
+// whitespace collapsed to one space, and the ends trimmed.
+function sanitizeText(text)
+{
+    return String(text)
+        .normalize('NFC')
+        .replace(/\s+/g, ' ')
+        .replace(controlPattern, '')
+        .replace(tagPattern, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Return text from a question provider as sanitized plain text. Entities
+// are decoded first so encoded markup ('&lt;b&gt;') is caught too.
+function normalizeProviderText(text)
+{
+    return sanitizeText(decodeEntities(text));
+}
+
+module.exports.decodeEntities        = decodeEntities;
+module.exports.sanitizeText          = sanitizeText;
+module.exports.normalizeProviderText = normalizeProviderText;
@@ -0,0 +1,57 @@
+const trivia        = require('./trivia-room');
+const user          = require('./user');
+const JsonFileStore = require('./json-store');
+
+/*
+    Saves the trivia rooms under way when the server shuts down, with the
+    sessions of the users in them, so the next start can restore them and
+    the users can carry on where they were. The file looks like:
+
+    {
+        savedAt : ISO date string,
+        rooms   : [TriviaRoom.getSnapshot()],
+        sessions: user.getSessionSnapshots()
+    }
+*/
+
+const EMPTY_SNAPSHOT = { savedAt: null, rooms: [], sessions: [] };
+
+// Stop every trivia room, telling its users why, and write the snapshot
+// to filePath. Returns a Promise that resolves with the number of rooms
+// saved once the file is written.
+function save(filePath, message)
+{
+    let store = new JsonFileStore(filePath, EMPTY_SNAPSHOT);
+    store.data =
+    {
+        savedAt : new Date().toISOString(),
+        rooms   : trivia.stopAllRooms(message),
+        sessions: user.getSessionSnapshots()
+    };
+
+    return store.flush().then(() => store.data.rooms.length);
+}
+
+// Restore the rooms and sessions saved in filePath, if there are any, then
+// empty the file so they are only restored once. Returns a Promise that
+// resolves with the number of rooms restored.
+function restore(filePath, ioInstance)
+{
+    let store = new JsonFileStore(filePath, EMPTY_SNAPSHOT);
+
+    return store.load()
+    .then
+    (
+        data =>
+        {
+            data.rooms.forEach(snapshot => trivia.restoreRoom(ioInstance, snapshot));
+            user.restoreSessions(data.sessions);
+
+            store.data = EMPTY_SNAPSHOT;
+            return store.flush().then(() => data.rooms.length);
+        }
+    );
+}
+
+module.exports.save    = save;
+module.exports.restore = restore;
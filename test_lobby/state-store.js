@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const redis  = require('redis');
+
+/*
+    Shared state that every server instance needs to see: the lobby's room
+    list, the nicknames in use, join requests waiting on a nickname and
+    OpenTDB session tokens. It is kept as named hashes of JSON values, in
+    memory for a single server or in Redis when several run side by side.
+
+    Game rooms themselves (their timers and their players' sockets) stay in
+    the instance that made them, so a load balancer in front of several
+    instances should keep each player on one instance (sticky sessions).
+*/
+
+// Each running server marks its entries with this, e.g. the rooms it lists.
+const instanceId = crypto.randomBytes(4).toString('hex');
+
+// Every instance records when it was last alive in the INSTANCES hash.
+// Entries of instances that haven't for INSTANCE_TIMEOUT_SECONDS are
+// stale; the instance has crashed or been shut down.
+const INSTANCES                = 'instances';
+const HEARTBEAT_SECONDS        = 10;
+const INSTANCE_TIMEOUT_SECONDS = 30;
+
+// Redis keys are the hash names with this in front.
+const KEY_PREFIX = 'trivia:';
+
+/*
+    The interface every store has. Values are copied in and out as JSON,
+    so changing an object after storing it doesn't change what is stored.
+    Every method returns a Promise.
+*/
+class StateStore
+{
+    // Resolves with the value of the field in the hash, or null.
+    get(hash, field) { throw new Error('Not implemented'); }
+
+    // Resolves with an object mapping every field in the hash to its value.
+    getAll(hash) { throw new Error('Not implemented'); }
+
+    set(hash, field, value) { throw new Error('Not implemented'); }
+
+    // Set the field only if the hash doesn't have it yet. Resolves with
+    // true if it was set. Of several instances trying at once, one wins.
+    setIfAbsent(hash, field, value) { throw new Error('Not implemented'); }
+
+    remove(hash, field) { throw new Error('Not implemented'); }
+
+    close() { return Promise.resolve(); }
+}
+
+/*
+    Keeps the state in this process. Enough for a single server.
+*/
+class MemoryStateStore extends StateStore
+{
+    constructor()
+    {
+        super();
+
+        // Maps hash names to Maps of fields to JSON strings.
+        this.hashes = new Map();
+    }
+
+    getHash(name)
+    {
+        if (!this.hashes.has(name)) this.hashes.set(name, new Map());
+        return this.hashes.get(name);
+    }
+
+    get(hash, field)
+    {
+        let json = this.getHash(hash).get(field);
+        return Promise.resolve(json === undefined ? null : JSON.parse(json));
+    }
+
+    getAll(hash)
+    {
+        let result = {};
+        this.getHash(hash).forEach((json, field) => result[field] = JSON.parse(json));
+        return Promise.resolve(result);
+    }
+
+    set(hash, field, value)
+    {
+        this.getHash(hash).set(field, JSON.stringify(value));
+        return Promise.resolve();
+    }
+
+    setIfAbsent(hash, field, value)
+    {
+        let fields = this.getHash(hash);
+        if (fields.has(field)) return Promise.resolve(false);
+
+        fields.set(field, JSON.stringify(value));
+        return Promise.resolve(true);
+    }
+
+    remove(hash, field)
+    {
+        this.getHash(hash).delete(field);
+        return Promise.resolve();
+    }
+}
+
+/*
+    Keeps the state in Redis, where every instance pointed at the same
+    server shares it. Each hash is a Redis hash.
+*/
+class RedisStateStore extends StateStore
+{
+    /*
+        | url | The Redis server, e.g. redis://localhost:6379. |
+    */
+    constructor(url)
+    {
+        super();
+        this.client = redis.createClient(url);
+
+        // The client reconnects by itself; an unhandled error would end the process.
+        this.client.on('error', error => console.log(`Redis error: ${error.message}`));
+    }
+
+    get(hash, field)
+    {
+        return this.call('hget', KEY_PREFIX + hash, field).then(json => json === null ? null : JSON.parse(json));
+    }
+
+    getAll(hash)
+    {
+        return this.call('hgetall', KEY_PREFIX + hash)
+        .then
+        (
+            fields =>
+            {
+                let result = {};
+                for (let field in fields || {}) result[field] = JSON.parse(fields[field]);
+                return result;
+            }
+        );
+    }
+
+    set(hash, field, value)
+    {
+        return this.call('hset', KEY_PREFIX + hash, field, JSON.stringify(value)).then(() => {});
+    }
+
+    setIfAbsent(hash, field, value)
+    {
+        return this.call('hsetnx', KEY_PREFIX + hash, field, JSON.stringify(value)).then(added => added === 1);
+    }
+
+    remove(hash, field)
+    {
+        return this.call('hdel', KEY_PREFIX + hash, field).then(() => {});
+    }
+
+    close()
+    {
+        return this.call('quit').then(() => {});
+    }
+
+    // Run a Redis command. Returns a Promise that resolves with its reply.
+    call(command, ...args)
+    {
+        return new Promise
+        (
+            (resolve, reject) =>
+            {
+                this.client[command](...args, (error, reply) => error ? reject(error) : resolve(reply));
+            }
+        );
+    }
+}
+
+// The store the rest of the server uses; see init().
+let store       = new MemoryStateStore();
+let heartbeatId = null;
+
+// Start keeping shared state in Redis at redisUrl, or in memory if it is
+// null, and start telling other instances this one is alive. Returns a
+// Promise that resolves once the store is ready.
+function init(redisUrl = null)
+{
+    if (redisUrl) store = new RedisStateStore(redisUrl);
+
+    clearInterval(heartbeatId);
+    heartbeatId = setInterval
+    (
+        () => beat().catch(error => console.log(`Could not tell the other instances this one is alive: ${error.message}`)),
+        HEARTBEAT_SECONDS * 1000
+    );
+    return beat();
+}
+
+// Record that this instance is alive. A missed beat is made up for by the
+// next one, unless the store stays out of reach for INSTANCE_TIMEOUT_SECONDS.
+function beat()
+{
+    return store.set(INSTANCES, instanceId, Date.now());
+}
+
+// Stop the heartbeat and let the other instances know this one is gone
+// right away, so whatever it held (e.g. its players' nicknames) can be
+// taken over without waiting for it to time out. Returns a Promise that
+// resolves once the store is closed.
+function close()
+{
+    clearInterval(heartbeatId);
+    heartbeatId = null;
+
+    return store.remove(INSTANCES, instanceId).then(() => store.close());
+}
+
+// Returns a Promise that resolves with the Set of the IDs of the
+// instances that are still alive.
+function getLiveInstances()
+{
+    return store.getAll(INSTANCES)
+    .then
+    (
+        instances =>
+        {
+            let oldest = Date.now() - INSTANCE_TIMEOUT_SECONDS * 1000;
+            return new Set(Object.keys(instances).filter(id => instances[id] >= oldest));
+        }
+    );
+}
+
+// Set the field of the hash to this instance's ID, unless another live
+// instance (or this one) already holds it. Fields held by instances that
+// have stopped are taken over. Returns a Promise that resolves with true
+// if this instance now holds the field.
+function claim(hash, field)
+{
+    return store.setIfAbsent(hash, field, instanceId)
+    .then
+    (
+        claimed =>
+        {
+            if (claimed) return true;
+
+            return Promise.all([store.get(hash, field), getLiveInstances()])
+            .then
+            (
+                ([holder, liveInstances]) =>
+                {
+                    if (holder === null || liveInstances.has(holder)) return false;
+                    return store.remove(hash, field).then(() => store.setIfAbsent(hash, field, instanceId));
+                }
+            );
+        }
+    );
+}
+
+function get(hash, field)                { return store.get(hash, field);                }
+function getAll(hash)                    { return store.getAll(hash);                    }
+function set(hash, field, value)         { return store.set(hash, field, value);         }
+function setIfAbsent(hash, field, value) { return store.setIfAbsent(hash, field, value); }
+function remove(hash, field)             { return store.remove(hash, field);             }
+
+module.exports.init             = init;
+module.exports.close            = close;
+module.exports.instanceId       = instanceId;
+module.exports.getLiveInstances = getLiveInstances;
+module.exports.claim            = claim;
+module.exports.get              = get;
+module.exports.getAll           = getAll;
+module.exports.set              = set;
+module.exports.setIfAbsent      = setIfAbsent;
+module.exports.remove           = remove;
+module.exports.StateStore       = StateStore;
+module.exports.MemoryStateStore = MemoryStateStore;
+module.exports.RedisStateStore  = RedisStateStore;
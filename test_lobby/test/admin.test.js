@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert                           = require('assert');
+const io                               = require('socket.io-client');
+const MockOpenTDB                      = require('./mock-opentdb');
+const { startServer, connect, waitFor } = require('./helpers');
+
+/*
+    Drives the admin API of a real server process the way the dashboard
+    does, and checks what the players on the other end see.
+*/
+
+const TOKEN = 'test-admin-token-0123456789';
+
+describe('the admin API', () =>
+{
+    let mock    = new MockOpenTDB();
+    let server  = null;
+    let sockets = [];
+
+    before(() => mock.start().then(url => startServer(url, null, { ADMIN_TOKEN: TOKEN })).then(s => server = s));
+
+    after
+    (
+        () =>
+        {
+            sockets.forEach(s => s.close());
+            return (server ? server.stop() : Promise.resolve()).then(() => mock.stop());
+        }
+    );
+
+    // Call the API with the token. Resolves with { status, body }.
+    function api(method, path, body = null, token = TOKEN)
+    {
+        return fetch
+        (
+            `${server.url}/admin/api${path}`,
+            {
+                method : method,
+                headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+                body   : body ? JSON.stringify(body) : undefined
+            }
+        )
+        .then(response => response.json().then(data => ({ status: response.status, body: data })));
+    }
+
+    function join(nickname)
+    {
+        return connect(server.url, nickname).then(socket => { sockets.push(socket); return socket; });
+    }
+
+    it('turns away requests without the admin token', () =>
+        api('GET', '/rooms', null, 'not-the-token')
+        .then(({ status, body }) => assert.deepStrictEqual([status, body], [401, { error: 'This needs the admin token.' }]))
+    );
+
+    it('lists rooms, makes announcements and deletes rooms', () =>
+    {
+        let socket = null;
+        let roomId = null;
+
+        return join('lister')
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                socket.emit('create room', { name: 'Doomed' });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then(([id]) => { roomId = id; return api('GET', '/rooms'); })
+        .then
+        (
+            ({ body }) =>
+            {
+                let room = body.find(r => r.id === roomId);
+                assert.strictEqual(room.name, 'Doomed');
+                assert.strictEqual(room.host, 'lister');
+                assert.deepStrictEqual(room.users.map(u => u.nickname), ['lister']);
+                assert.ok(body.some(r => r.name === 'The Any Room' && r.permanent));
+
+                return api('POST', '/announcements', { message: 'Back in five.' });
+            }
+        )
+        .then(() => waitFor(socket, 'message', m => m.message === 'Announcement: Back in five.'))
+        .then(() => api('DELETE', `/rooms/${roomId}`, { message: 'Cleaning up.' }))
+        .then(() => waitFor(socket, 'room closed'))
+        .then
+        (
+            ([closed]) =>
+            {
+                assert.deepStrictEqual(closed, { id: roomId, message: 'Cleaning up.' });
+                return waitFor(socket, 'entered lobby');
+            }
+        )
+        .then(() => api('GET', '/rooms'))
+        .then(({ body }) => assert.ok(!body.some(r => r.id === roomId)));
+    });
+
+    it('bans nicknames off the server until the ban is lifted', { timeout: 30000 }, () =>
+    {
+        let socket = null;
+
+        return join('troublemaker')
+        .then(s => { socket = s; return api('POST', '/bans', { nickname: 'Troublemaker', reason: 'Spam' }); })
+        .then
+        (
+            ({ body }) =>
+            {
+                assert.deepStrictEqual(body, { kicked: ['troublemaker'] });
+                return waitFor(socket, 'kicked from server');
+            }
+        )
+        .then
+        (
+            () => new Promise
+            (
+                resolve =>
+                {
+                    // connect() waits for a nickname that won't come.
+                    let again = io(server.url, { transports: ['websocket'], reconnection: false, forceNew: true });
+                    sockets.push(again);
+
+                    again.on('need nickname', () => again.emit('set nickname', 'troublemaker'));
+                    again.on('nickname banned', resolve);
+                }
+            )
+        )
+        .then(() => api('DELETE', '/bans?nickname=troublemaker'))
+        .then
+        (
+            ({ status, body }) =>
+            {
+                assert.strictEqual(status, 200);
+                assert.deepStrictEqual(body.nicknames, []);
+                return join('troublemaker');
+            }
+        );
+    });
+
+    it('reports how the question sources are doing', () =>
+        api('GET', '/question-sources')
+        .then
+        (
+            ({ body }) =>
+            {
+                let opentdb = body.find(p => p.name === 'opentdb');
+                assert.ok(opentdb.isDefault && opentdb.loaded);
+                assert.strictEqual(opentdb.status.url, mock.baseUrl);
+            }
+        )
+    );
+});
@@ -0,0 +1,63 @@
+const { describe, it, after } = require('node:test');
+const assert                  = require('assert');
+const fs                      = require('fs');
+const os                      = require('os');
+const path                    = require('path');
+const config                  = require('../config');
+
+describe('config', () =>
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trivia-config-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // Write a config file and return its path.
+    function writeFile(name, text)
+    {
+        let filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, text);
+        return filePath;
+    }
+
+    it('fills in defaults and lets the environment override the file', () =>
+    {
+        let filePath = writeFile('config.yaml', 'port: 4000\ntrivia:\n  intermissionSeconds: 2\nrooms:\n  - name: Hard Room\n    difficulty: hard\n');
+        let settings = config.load(filePath, { PORT: '4001', OPENTDB_URL: 'http://127.0.0.1:9999' });
+
+        assert.strictEqual(settings.port, 4001);
+        assert.strictEqual(settings.opentdb.url, 'http://127.0.0.1:9999');
+        assert.strictEqual(settings.opentdb.requestIntervalSeconds, 5);
+        assert.strictEqual(settings.trivia.intermissionSeconds, 2);
+        assert.strictEqual(settings.trivia.retrySeconds, 5);
+        assert.strictEqual(settings.rooms.length, 1);
+        assert.strictEqual(settings.rooms[0].difficulty, 'hard');
+        assert.strictEqual(settings.rooms[0].maxSeconds, 30);
+    });
+
+    it('says which setting is wrong and why', () =>
+    {
+        let cases =
+        [
+            ['{ "port": 0 }',                                   {},                              'Invalid config (bad.json): port must be at least 1.'],
+            ['{ "trivia": { "retrySecs": 5 } }',                {},                              'Invalid config (bad.json): trivia.retrySecs is not a known setting.'],
+            ['{ "rooms": [{ "name": "A", "maxSeconds": 1 }] }', {},                              'Invalid config (bad.json): rooms[0].maxSeconds must be at least 5.'],
+            ['{}',                                              { PORT: 'eighty' },              'Invalid config (environment): PORT must be a whole number.'],
+            ['{ "trivia": { "maxRetrySeconds": 2 } }',          {},                              'Invalid config (bad.json): trivia.maxRetrySeconds must be at least trivia.retrySeconds (5).'],
+            ['{}',                                              { TRIVIA_RETRY_SECONDS: '600' }, 'Invalid config (environment): trivia.maxRetrySeconds must be at least trivia.retrySeconds (600).'],
+            ['{ "port": ',                                      {},                              /^Invalid config \(bad\.json\): not valid JSON\./]
+        ];
+
+        cases.forEach
+        (
+            ([text, env, message]) =>
+                assert.throws(() => config.load(writeFile('bad.json', text), env), error =>
+                    error instanceof config.ConfigError &&
+                    (message instanceof RegExp ? message.test(error.message) : error.message === message))
+        );
+    });
+
+    it('only requires the file when it is named', () =>
+    {
+        assert.throws(() => config.load(path.join(dir, 'missing.json'), {}), config.ConfigError);
+        assert.strictEqual(config.load(null, { PORT: '4002' }).port, 4002);
+    });
+});
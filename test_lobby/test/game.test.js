@@ -0,0 +1,507 @@
+const { describe, it, before, after } = require('node:test');
+const assert                           = require('assert');
+const MockOpenTDB                      = require('./mock-opentdb');
+const { startServer, connect, waitFor } = require('./helpers');
+
+/*
+    Plays whole games against a real server process, with the mock OpenTDB
+    standing in for opentdb.com.
+*/
+
+const ANSWER_CORRECT = 1;
+
+// Each test's players get names of their own, so one test's leftover
+// sessions can't get in another's way.
+let nextPlayer = 1;
+function newNickname(name)
+{
+    return `${name}${nextPlayer++}`;
+}
+
+// Return the index of the right answer to the question, looked up in the
+// mock's (plain text) question list.
+function findCorrectIndex(question)
+{
+    let raw = MockOpenTDB.defaultQuestions.find(q => q.question === question.question);
+    assert.ok(raw, `The mock doesn't have the question '${question.question}'.`);
+    return question.answers.indexOf(raw.correct_answer);
+}
+
+describe('a game against the mock OpenTDB', () =>
+{
+    let mock    = new MockOpenTDB();
+    let server  = null;
+    let sockets = [];
+
+    before(() => mock.start().then(url => startServer(url)).then(s => server = s));
+
+    after
+    (
+        () =>
+        {
+            sockets.forEach(s => s.close());
+            return (server ? server.stop() : Promise.resolve()).then(() => mock.stop());
+        }
+    );
+
+    function join(name)
+    {
+        return connect(server.url, newNickname(name)).then(socket =>
+        {
+            sockets.push(socket);
+            return socket;
+        });
+    }
+
+    it('lists the mock\'s categories', () =>
+        join('lister')
+        .then
+        (
+            socket =>
+            {
+                socket.emit('get category list');
+                return waitFor(socket, 'category list');
+            }
+        )
+        .then(([list]) => assert.deepStrictEqual(list.map(c => c.name), MockOpenTDB.categories.map(c => c.name)))
+    );
+
+    it('goes from the lobby to game over', () =>
+    {
+        let socket = null;
+
+        return join('player')
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                return waitFor(socket, 'room list');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('create room', { name: 'End to end', categoryId: 9, difficulty: 'easy', questionCount: 2, maxSeconds: 10 });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('start game');
+                return playQuestion(socket);
+            }
+        )
+        .then(() => playQuestion(socket))
+        .then(() => waitFor(socket, 'game over'))
+        .then
+        (
+            ([stats]) =>
+            {
+                assert.strictEqual(stats.length, 1);
+                assert.strictEqual(stats[0].questionsRight, 2);
+                assert.ok(stats[0].points > 0);
+            }
+        );
+    });
+
+    it('decodes the HTML entities OpenTDB sends', () =>
+    {
+        let socket = null;
+
+        return join('reader')
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                socket.emit('create room', { categoryId: 9, difficulty: 'easy' });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('start game');
+                return waitFor(socket, 'set question');
+            }
+        )
+        .then
+        (
+            ([question]) =>
+            {
+                assert.ok(!/&[#a-z0-9]+;/i.test(question.question), question.question);
+                assert.ok(question.question.includes('"') || question.question.includes('\''), question.question);
+            }
+        );
+    });
+
+    it('falls back to any difficulty when a category runs dry', () =>
+    {
+        let socket = null;
+
+        return join('dry')
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                socket.emit('create room', { categoryId: 23, difficulty: 'hard' });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('start game');
+                return waitFor(socket, 'out of questions');
+            }
+        )
+        .then
+        (
+            ([out]) =>
+            {
+                assert.deepStrictEqual(out, { categoryName: 'History', difficulty: 'hard', fallback: 'any difficulty' });
+                return waitFor(socket, 'set question');
+            }
+        )
+        .then(([question]) => assert.strictEqual(question.question, 'In which year did the Berlin Wall fall?'));
+    });
+
+    it('gets over a token error and a rate limit', () =>
+    {
+        let socket = null;
+        mock.failNext(17, MockOpenTDB.responseCode.TOKEN_NOT_FOUND, MockOpenTDB.responseCode.RATE_LIMIT);
+
+        return join('unlucky')
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                socket.emit('create room', { categoryId: 17, difficulty: 'easy' });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('start game');
+                return waitFor(socket, 'set question');
+            }
+        )
+        .then(([question]) => assert.strictEqual(question.question, 'What is H2O better known as?'));
+    });
+
+    it('lets spectators watch without playing', () =>
+    {
+        let host      = null;
+        let spectator = null;
+        let roomId    = null;
+
+        return Promise.all([join('host'), join('watcher')])
+        .then
+        (
+            ([h, s]) =>
+            {
+                host      = h;
+                spectator = s;
+                host.emit('create room', { categoryId: 9, questionCount: 1, maxSeconds: 10, maxPlayers: 1, spectatorChat: false });
+                return waitFor(host, 'entered game room');
+            }
+        )
+        .then
+        (
+            ([id]) =>
+            {
+                roomId = id;
+
+                // The room is full, but spectators don't count.
+                spectator.emit('join room', { id: roomId, spectate: true });
+                return waitFor(spectator, 'role');
+            }
+        )
+        .then
+        (
+            ([role]) =>
+            {
+                assert.deepStrictEqual(role, { spectator: true, joiningNextQuestion: false });
+
+                spectator.emit('message', 'hello');
+                return waitFor(spectator, 'error', e => e.event === 'message');
+            }
+        )
+        .then
+        (
+            ([error]) =>
+            {
+                assert.strictEqual(error.code, 'muted');
+
+                spectator.emit('join as player');
+                return waitFor(spectator, 'error', e => e.event === 'join as player');
+            }
+        )
+        .then
+        (
+            ([error]) =>
+            {
+                assert.strictEqual(error.code, 'room full');
+
+                host.emit('start game');
+                return waitFor(spectator, 'set question');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                spectator.emit('answer', 0);
+                return waitFor(spectator, 'invalid answer');
+            }
+        )
+        .then(() => playQuestion(host))
+        .then(() => waitFor(spectator, 'game over'))
+        .then(([stats]) => assert.deepStrictEqual(stats.map(s => s.nickname), [host.nickname]));
+    });
+
+    it('keeps newcomers out of a locked game but lets leavers back in with their points', () =>
+    {
+        let host     = null;
+        let guest    = null;
+        let outsider = null;
+        let roomId   = null;
+
+        return Promise.all([join('host'), join('guest'), join('outsider')])
+        .then
+        (
+            ([h, g, o]) =>
+            {
+                host     = h;
+                guest    = g;
+                outsider = o;
+                host.emit('create room', { categoryId: 9, difficulty: 'easy', questionCount: 2, maxSeconds: 10, lateJoin: 'locked' });
+                return waitFor(host, 'entered game room');
+            }
+        )
+        .then
+        (
+            ([id]) =>
+            {
+                roomId = id;
+                guest.emit('join room', roomId);
+                return waitFor(guest, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                host.emit('start game');
+                return Promise.all([playQuestion(host), playQuestion(guest)]);
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                // Drop the 'entered lobby' left over from connecting, so
+                // this waits for the one sent on leaving.
+                guest.received.length = 0;
+                guest.emit('leave room');
+                return waitFor(guest, 'entered lobby');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                outsider.emit('join room', roomId);
+                return waitFor(outsider, 'join room failed');
+            }
+        )
+        .then
+        (
+            ([failure]) =>
+            {
+                assert.strictEqual(failure.reason, 'game in progress');
+
+                // Only the stats sent once the guest is back count.
+                guest.received.length = 0;
+                guest.emit('join room', roomId);
+                return waitFor(guest, 'set user stats', stats => stats.some(s => s.nickname === guest.nickname));
+            }
+        )
+        .then(([stats]) => assert.strictEqual(stats.find(s => s.nickname === guest.nickname).points, 10));
+    });
+});
+
+describe('restarting the server', () =>
+{
+    let mock   = new MockOpenTDB();
+    let server = null;
+    let socket = null;
+
+    before(() => mock.start().then(url => startServer(url)).then(s => server = s));
+
+    after
+    (
+        () =>
+        {
+            if (socket) socket.close();
+            return (server ? server.stop() : Promise.resolve()).then(() => mock.stop());
+        }
+    );
+
+    it('lets players carry on where they were', () =>
+    {
+        let nickname = newNickname('survivor');
+        let roomId   = null;
+
+        return connect(server.url, nickname)
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                socket.emit('create room', { categoryId: 9, difficulty: 'easy', questionCount: 2, maxSeconds: 10 });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            ([id]) =>
+            {
+                roomId = id;
+                socket.emit('start game');
+                return playQuestion(socket);
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                let stopping = server.stop(true);
+                return waitFor(socket, 'server shutting down').then(() => stopping);
+            }
+        )
+        .then(() => startServer(mock.baseUrl, server.dataDir))
+        .then
+        (
+            s =>
+            {
+                server = s;
+                socket.close();
+                return connect(server.url, nickname, socket.sessionToken);
+            }
+        )
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            ([id]) =>
+            {
+                assert.strictEqual(id, roomId);
+                return waitFor(socket, 'room state', state => state.host === nickname);
+            }
+        )
+        .then(() => waitFor(socket, 'set user stats', stats => stats.length === 1))
+        .then
+        (
+            ([stats]) =>
+            {
+                assert.strictEqual(stats[0].points, 10);
+
+                // The game resumes with the second and last question.
+                return playQuestion(socket);
+            }
+        )
+        .then(() => waitFor(socket, 'game over'))
+        .then(([stats]) => assert.strictEqual(stats[0].questionsRight, 2));
+    });
+});
+
+describe('time-weighted scoring', () =>
+{
+    let mock    = new MockOpenTDB();
+    let server  = null;
+    let sockets = [];
+
+    before(() => mock.start().then(url => startServer(url)).then(s => server = s));
+
+    after
+    (
+        () =>
+        {
+            sockets.forEach(s => s.close());
+            return (server ? server.stop() : Promise.resolve()).then(() => mock.stop());
+        }
+    );
+
+    it('gives full points for an answer made right away', () =>
+    {
+        let socket = null;
+
+        return connect(server.url, newNickname('quick'))
+        .then
+        (
+            s =>
+            {
+                socket = s;
+                sockets.push(socket);
+                socket.emit('create room', { categoryId: 9, difficulty: 'easy', questionCount: 1, scoringMode: 'time weighted' });
+                return waitFor(socket, 'entered game room');
+            }
+        )
+        .then
+        (
+            () =>
+            {
+                socket.emit('start game');
+                return waitFor(socket, 'set question');
+            }
+        )
+        .then
+        (
+            ([question]) =>
+            {
+                socket.emit('answer', findCorrectIndex(question));
+                return waitFor(socket, 'answer result');
+            }
+        )
+        .then
+        (
+            ([result]) =>
+            {
+                assert.strictEqual(result.points.speedFactor, 1);
+                assert.strictEqual(result.points.total, result.points.basePoints);
+            }
+        );
+    });
+});
+
+// Answer the next question correctly and check that it was marked right.
+function playQuestion(socket)
+{
+    return waitFor(socket, 'set question')
+    .then
+    (
+        ([question]) =>
+        {
+            socket.emit('answer', findCorrectIndex(question));
+            return waitFor(socket, 'answer result');
+        }
+    )
+    .then(([result]) => assert.strictEqual(result.result, ANSWER_CORRECT));
+}
@@ -0,0 +1,196 @@
+const childProcess = require('child_process');
+const fs           = require('fs');
+const net          = require('net');
+const os           = require('os');
+const path         = require('path');
+const io           = require('socket.io-client');
+
+// How long to wait for the server to start or for an event to arrive.
+const SERVER_START_SECONDS = 15;
+const EVENT_SECONDS        = 10;
+
+// Return a promise that resolves with a port nothing is listening on.
+function getFreePort()
+{
+    return new Promise
+    (
+        (resolve, reject) =>
+        {
+            let server = net.createServer();
+            server.on('error', reject);
+            server.listen(0, '127.0.0.1', () =>
+            {
+                let port = server.address().port;
+                server.close(() => resolve(port));
+            });
+        }
+    );
+}
+
+// Start the trivia server in its own process, talking to the OpenTDB API at
+// openTDBUrl and keeping its data in dataDir (by default, a fresh temporary
+// directory), with any other environment variables in env. Returns a
+// promise that resolves with { url, output, dataDir, stop(keepData) } once
+// it is listening. output is everything the server has printed so far.
+// stop() shuts the server down the way SIGTERM does and deletes dataDir
+// unless keepData is true.
+function startServer(openTDBUrl, dataDir = null, env = {})
+{
+    return getFreePort().then
+    (
+        port => new Promise
+        (
+            (resolve, reject) =>
+            {
+                dataDir    = dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'trivia-test-'));
+                let server = childProcess.spawn
+                (
+                    process.execPath, ['index.js'],
+                    {
+                        cwd: path.join(__dirname, '..'),
+                        env:
+                        {
+                            ...process.env,
+                            PORT                            : String(port),
+                            DATA_DIR                        : dataDir,
+                            OPENTDB_URL                     : openTDBUrl,
+                            OPENTDB_REQUEST_INTERVAL_SECONDS: '0',
+                            ...env
+                        }
+                    }
+                );
+
+                let handle =
+                {
+                    url    : `http://127.0.0.1:${port}`,
+                    output : '',
+                    dataDir: dataDir,
+                    stop   : (keepData = false) => new Promise
+                    (
+                        done =>
+                        {
+                            server.once('exit', () =>
+                            {
+                                if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+                                done();
+                            });
+                            server.kill('SIGTERM');
+                        }
+                    )
+                };
+
+                let timeout = setTimeout
+                (
+                    () =>
+                    {
+                        server.kill();
+                        reject(new Error(`The server didn't start:\n${handle.output}`));
+                    },
+                    SERVER_START_SECONDS * 1000
+                );
+
+                let onOutput = chunk =>
+                {
+                    handle.output += chunk;
+                    if (handle.output.includes('Trivia server active'))
+                    {
+                        clearTimeout(timeout);
+                        resolve(handle);
+                    }
+                };
+                server.stdout.on('data', onOutput);
+                server.stderr.on('data', onOutput);
+            }
+        )
+    );
+}
+
+// Connect to the server and pick the given nickname, or resume the session
+// with the given token. Returns a promise that resolves with the socket once
+// the nickname is accepted; socket.sessionToken is the token to resume its
+// session with. The socket remembers the events it receives, so waitFor()
+// also sees ones that arrived before it was called.
+function connect(serverUrl, nickname, sessionToken = null)
+{
+    let socket = io(serverUrl, { transports: ['websocket'], reconnection: false, forceNew: true });
+    socket.nickname = nickname;
+    socket.received = [];
+
+    let onevent = socket.onevent;
+    socket.onevent = packet =>
+    {
+        socket.received.push(packet.data);
+        onevent.call(socket, packet);
+    };
+
+    // Rejected input comes back as an error packet rather than an event.
+    socket.on('error', error => socket.received.push(['error', error]));
+
+    socket.on
+    (
+        'need nickname', () =>
+        {
+            if (sessionToken) socket.emit('resume session', sessionToken);
+            else              socket.emit('set nickname', nickname);
+        }
+    );
+
+    return waitFor(socket, 'good nickname').then
+    (
+        ([session]) =>
+        {
+            socket.sessionToken = session.sessionToken;
+            return socket;
+        }
+    );
+}
+
+// Return a promise that resolves with the arguments of the first event
+// with the given name whose arguments pass the test. Each event is only
+// handed to one waitFor(), so waiting twice gets two different events.
+// Rejects if none arrives within EVENT_SECONDS.
+function waitFor(socket, eventName, test = () => true)
+{
+    return new Promise
+    (
+        (resolve, reject) =>
+        {
+            let take = () =>
+            {
+                let index = socket.received.findIndex(([name, ...args]) => name === eventName && test(...args));
+                if (index === -1) return false;
+
+                let [, ...args] = socket.received[index];
+                socket.received.splice(index, 1);
+                resolve(args);
+                return true;
+            };
+
+            if (take()) return;
+
+            let timeout = setTimeout
+            (
+                () =>
+                {
+                    socket.off(eventName, listener);
+                    reject(new Error(`Timed out waiting for '${eventName}'.`));
+                },
+                EVENT_SECONDS * 1000
+            );
+
+            // connect() records each event before its listeners run.
+            let listener = () =>
+            {
+                if (!take()) return;
+
+                clearTimeout(timeout);
+                socket.off(eventName, listener);
+            };
+            socket.on(eventName, listener);
+        }
+    );
+}
+
+module.exports.startServer = startServer;
+module.exports.connect     = connect;
+module.exports.waitFor     = waitFor;
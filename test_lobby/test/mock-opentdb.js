@@ -0,0 +1,242 @@
+const express = require('express');
+
+/*
+    A stand-in for the Open Trivia Database API (opentdb.com), so tests
+    don't depend on the real one. It serves a small set of questions
+    through the same endpoints and in the same format, HTML entities and
+    all, and keeps session tokens the way the real API does:
+
+        /api_category.php                   The category list.
+        /api_token.php?command=request      A new session token.
+        /api_token.php?command=reset&token  Let a token see every question again.
+        /api.php?amount&category&difficulty&token
+                                            Questions the token hasn't seen.
+
+    Tests can make the next few question requests for a category fail with
+    failNext(), and turn on the real API's rate limit with the
+    rateLimitSeconds option.
+*/
+
+// The response codes the real API sends.
+const responseCode =
+{
+    SUCCESS          : 0,
+    NO_RESULTS       : 1,
+    INVALID_PARAMETER: 2,
+    TOKEN_NOT_FOUND  : 3,
+    TOKEN_EMPTY      : 4,
+    RATE_LIMIT       : 5
+};
+
+const categories =
+[
+    { id: 9,  name: 'General Knowledge' },
+    { id: 17, name: 'Science & Nature'  },
+    { id: 23, name: 'History'           }
+];
+
+// Stored as plain text; they are encoded the way OpenTDB encodes them
+// when sent. History only has one question, so it runs dry quickly.
+const defaultQuestions =
+[
+    {
+        type: 'multiple', difficulty: 'easy', category: 'General Knowledge',
+        question: 'What is the name of the toy cowboy in "Toy Story"?',
+        correct_answer: 'Woody', incorrect_answers: ['Buzz', 'Jessie', 'Rex']
+    },
+    {
+        type: 'multiple', difficulty: 'medium', category: 'General Knowledge',
+        question: 'Which of these isn\'t a primary colour of light?',
+        correct_answer: 'Yellow', incorrect_answers: ['Red', 'Green', 'Blue']
+    },
+    {
+        type: 'boolean', difficulty: 'easy', category: 'General Knowledge',
+        question: 'A "baker\'s dozen" is 13.',
+        correct_answer: 'True', incorrect_answers: ['False']
+    },
+    {
+        type: 'multiple', difficulty: 'easy', category: 'Science & Nature',
+        question: 'What is H2O better known as?',
+        correct_answer: 'Water', incorrect_answers: ['Salt', 'Air', 'Sand']
+    },
+    {
+        type: 'multiple', difficulty: 'hard', category: 'Science & Nature',
+        question: 'Which element has the symbol Sb & the atomic number 51?',
+        correct_answer: 'Antimony', incorrect_answers: ['Tin', 'Lead', 'Bismuth']
+    },
+    {
+        type: 'multiple', difficulty: 'medium', category: 'History',
+        question: 'In which year did the Berlin Wall fall?',
+        correct_answer: '1989', incorrect_answers: ['1987', '1991', '1993']
+    }
+];
+
+class MockOpenTDB
+{
+    /*
+        | questions        | The questions to serve, as plain text in the OpenTDB result format. |
+        | rateLimitSeconds | Requests closer together than this get RATE_LIMIT; 0 for no limit.  |
+    */
+    constructor(questions = defaultQuestions, rateLimitSeconds = 0)
+    {
+        this.questions        = questions;
+        this.rateLimitSeconds = rateLimitSeconds;
+        this.server           = null;
+        this.baseUrl          = null;
+
+        // Maps session tokens to the set of indices of the questions they've seen.
+        this.tokens    = {};
+        this.nextToken = 1;
+
+        // { category, code } for each request to answer with code instead
+        // of questions.
+        this.failures = [];
+
+        // Every request made, as { path, query }, oldest first.
+        this.requests    = [];
+        this.lastRequest = 0;
+
+        this.app = express();
+        this.app.get('/api_category.php', (req, res) => this.respond(req, res, () => ({ trivia_categories: categories })));
+        this.app.get('/api_token.php',    (req, res) => this.respond(req, res, () => this.handleToken(req.query)));
+        this.app.get('/api.php',          (req, res) => this.respond(req, res, () => this.handleQuestions(req.query)));
+    }
+
+    // Start listening on the given port (0 for any free one). Returns a
+    // promise that resolves with the base URL to give the server.
+    start(port = 0)
+    {
+        return new Promise
+        (
+            resolve =>
+            {
+                this.server = this.app.listen
+                (
+                    port, '127.0.0.1', () =>
+                    {
+                        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                        resolve(this.baseUrl);
+                    }
+                );
+            }
+        );
+    }
+
+    stop()
+    {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+
+    // Answer the next question requests for the category with the given
+    // ID with the given response codes instead of questions, one code per
+    // request.
+    failNext(categoryId, ...codes)
+    {
+        codes.forEach(code => this.failures.push({ category: categoryId, code: code }));
+    }
+
+    // The requests made to the given path.
+    getRequests(path)
+    {
+        return this.requests.filter(r => r.path === path);
+    }
+
+    respond(req, res, handle)
+    {
+        let now = Date.now();
+        this.requests.push({ path: req.path, query: req.query });
+
+        let tooSoon      = this.rateLimitSeconds > 0 && now - this.lastRequest < this.rateLimitSeconds * 1000;
+        this.lastRequest = now;
+
+        if (tooSoon) res.status(429).json({ response_code: responseCode.RATE_LIMIT, results: [] });
+        else         res.json(handle());
+    }
+
+    handleToken(query)
+    {
+        if (query.command === 'request')
+        {
+            let token = `mock-token-${this.nextToken++}`;
+            this.tokens[token] = new Set();
+            return { response_code: responseCode.SUCCESS, response_message: 'Token Generated Successfully!', token: token };
+        }
+
+        if (query.command === 'reset')
+        {
+            if (!(query.token in this.tokens)) return { response_code: responseCode.TOKEN_NOT_FOUND, token: '' };
+
+            this.tokens[query.token].clear();
+            return { response_code: responseCode.SUCCESS, token: query.token };
+        }
+
+        return { response_code: responseCode.INVALID_PARAMETER };
+    }
+
+    handleQuestions(query)
+    {
+        let failure = this.failures.findIndex(f => f.category === Number(query.category));
+        if (failure !== -1)
+            return { response_code: this.failures.splice(failure, 1)[0].code, results: [] };
+
+        let amount   = Number(query.amount);
+        let category = query.category ? categories.find(c => c.id === Number(query.category)) : null;
+
+        if (!Number.isInteger(amount) || amount < 1 || amount > 50 || (query.category && !category))
+            return { response_code: responseCode.INVALID_PARAMETER, results: [] };
+
+        if (query.token && !(query.token in this.tokens))
+            return { response_code: responseCode.TOKEN_NOT_FOUND, results: [] };
+
+        let matching = [];
+        this.questions.forEach
+        (
+            (q, i) =>
+            {
+                if (category && q.category !== category.name)          return;
+                if (query.difficulty && q.difficulty !== query.difficulty) return;
+                matching.push(i);
+            }
+        );
+
+        if (matching.length < amount)
+            return { response_code: responseCode.NO_RESULTS, results: [] };
+
+        let seen   = query.token ? this.tokens[query.token] : new Set();
+        let unseen = matching.filter(i => !seen.has(i));
+
+        if (unseen.length < amount)
+            return { response_code: responseCode.TOKEN_EMPTY, results: [] };
+
+        let picked = unseen.slice(0, amount);
+        picked.forEach(i => seen.add(i));
+
+        return { response_code: responseCode.SUCCESS, results: picked.map(i => encodeQuestion(this.questions[i])) };
+    }
+}
+
+// HTML-encode the text of a question, as OpenTDB does by default.
+function encodeQuestion(question)
+{
+    return {
+        ...question,
+        question         : encode(question.question),
+        correct_answer   : encode(question.correct_answer),
+        incorrect_answers: question.incorrect_answers.map(encode)
+    };
+}
+
+function encode(text)
+{
+    return text
+        .replace(/&/g,  '&amp;')
+        .replace(/</g,  '&lt;')
+        .replace(/>/g,  '&gt;')
+        .replace(/"/g,  '&quot;')
+        .replace(/'/g,  '&#039;');
+}
+
+module.exports                  = MockOpenTDB;
+module.exports.responseCode     = responseCode;
+module.exports.categories       = categories;
+module.exports.defaultQuestions = defaultQuestions;
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert                           = require('assert');
+const state                            = require('../state-store');
+const MockOpenTDB                      = require('./mock-opentdb');
+const { startServer, connect, waitFor } = require('./helpers');
+
+/*
+    Checks that every state store behaves the same, and that two servers
+    sharing one Redis server get along. Redis is only tested when REDIS_URL
+    points at a Redis server, e.g.
+
+        REDIS_URL=redis://localhost:6379 npm test
+*/
+
+const stores =
+[
+    { name: 'MemoryStateStore', make: () => new state.MemoryStateStore() },
+    { name: 'RedisStateStore',  make: () => new state.RedisStateStore(process.env.REDIS_URL), skip: !process.env.REDIS_URL }
+];
+
+stores.forEach
+(
+    ({ name, make, skip }) => describe(name, { skip: skip && 'REDIS_URL is not set' }, () =>
+    {
+        let store = skip ? null : make();
+
+        // A hash of its own, so runs against a shared Redis server don't
+        // see each other's fields.
+        let hash = `test ${process.pid} ${Date.now()}`;
+
+        after(() => store.remove(hash, 'a').then(() => store.remove(hash, 'b')).then(() => store.close()));
+
+        it('gives back what was set, as a copy', () =>
+        {
+            let value = { id: 'abc', players: ['ann'] };
+
+            return store.set(hash, 'a', value)
+            .then(() => value.players.push('bob'))
+            .then(() => store.get(hash, 'a'))
+            .then(stored => assert.deepStrictEqual(stored, { id: 'abc', players: ['ann'] }));
+        });
+
+        it('returns null for missing fields and every field of a hash', () =>
+            store.get(hash, 'missing')
+            .then(value => assert.strictEqual(value, null))
+            .then(() => store.set(hash, 'b', 2))
+            .then(() => store.getAll(hash))
+            .then(all => assert.deepStrictEqual(all, { a: { id: 'abc', players: ['ann'] }, b: 2 }))
+        );
+
+        it('only sets absent fields with setIfAbsent', () =>
+            store.setIfAbsent(hash, 'b', 3)
+            .then(added => assert.strictEqual(added, false))
+            .then(() => store.remove(hash, 'b'))
+            .then(() => store.setIfAbsent(hash, 'b', 3))
+            .then(added => assert.strictEqual(added, true))
+            .then(() => store.get(hash, 'b'))
+            .then(value => assert.strictEqual(value, 3))
+        );
+    })
+);
+
+describe('two instances sharing Redis', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, () =>
+{
+    let mock    = new MockOpenTDB();
+    let servers = [];
+    let sockets = [];
+
+    // Nicknames of their own, so runs against a shared Redis server don't
+    // take each other's.
+    let suffix = String(Date.now() % 100000);
+
+    before
+    (
+        () => mock.start()
+            .then(url => Promise.all([startServer(url), startServer(url)]))
+            .then(started => servers = started)
+    );
+
+    after
+    (
+        () =>
+        {
+            sockets.forEach(s => s.close());
+            return Promise.all(servers.map(s => s.stop())).then(() => mock.stop());
+        }
+    );
+
+    function join(server, name)
+    {
+        return connect(server.url, name + suffix).then(socket =>
+        {
+            sockets.push(socket);
+            return socket;
+        });
+    }
+
+    it('only lists rooms in the lobby of the instance running them', () =>
+    {
+        let roomId = null;
+
+        return join(servers[0], 'host')
+        .then
+        (
+            host =>
+            {
+                host.emit('create room', { categoryId: 9, difficulty: 'easy', questionCount: 2, maxSeconds: 10 });
+                return waitFor(host, 'entered game room');
+            }
+        )
+        .then
+        (
+            ([id]) =>
+            {
+                roomId = id;
+                return Promise.all([join(servers[0], 'near'), join(servers[1], 'far')]);
+            }
+        )
+        .then(([near, far]) => Promise.all([waitFor(near, 'room list'), waitFor(far, 'room list')]))
+        .then
+        (
+            ([[nearList], [farList]]) =>
+            {
+                assert.ok(nearList.some(r => r.id === roomId));
+                assert.ok(!farList.some(r => r.id === roomId));
+            }
+        );
+    });
+});
@@ -1,6 +1,9 @@
 const questionSource = require('./question-source');
 const RoomBase       = require('./roombase');
+const validation     = require('./validation');
+const config         = require('./config');
 const EventEmitter   = require('events');
+const crypto         = require('crypto');
 
 // A map of all of the active rooms.
 let rooms = {};
@@ -14,9 +17,11 @@ const triviaEventEmitter = new TriviaEventEmitter();
 // Trivia room event names
 const events = 
 {
-    NEW_ROOM   : 'newRoom',    // Args: the room that was created
-    DELETE_ROOM: 'deleteRoom', // Args: the room that was deleted
-    UPDATE_ROOM: 'updateRoom'  // Args: the room that was updated
+    NEW_ROOM     : 'newRoom',      // Args: the room that was created
+    DELETE_ROOM  : 'deleteRoom',   // Args: the room that was deleted
+    UPDATE_ROOM  : 'updateRoom',   // Args: the room that was updated
+    ANSWER_RESULT: 'answerResult', // Args: the room, the user, the question, the answerResult
+    GAME_OVER    : 'gameOver'      // Args: the room, the final user stats sorted best first, the final team stats sorted best first
 };
 
 // The different levels of difficulty.
@@ -27,23 +32,202 @@ const difficulty =
     HARD  : 'hard'
 };
 
+// The stages a trivia room goes through.
+const roomPhase =
+{
+    WAITING     : 'waiting',      // Waiting for the host to start the game.
+    LOADING     : 'loading',      // Fetching the next question.
+    QUESTION    : 'question',     // A question is open for answers.
+    INTERMISSION: 'intermission', // Showing the results before the next question.
+    GAME_OVER   : 'game over'     // Every question has been asked.
+};
+
 const answerResult = 
 {
     INCORRECT: 0,
     CORRECT  : 1,
-    SKIPPED  : 2
+    SKIPPED  : 2,
+    PARTIAL  : 3  // Partly right; only ordering questions give partial credit.
+};
+
+// The kinds of question. What counts as an answer, and what the correct
+// answer looks like, depends on the type:
+//
+// | type     | answer sent by the client            | correctAnswer                                    |
+// | boolean  | the index of 'True' or 'False'       | the index of the correct answer                  |
+// | multiple | the index of one of the answers      | the index of the correct answer                  |
+// | text     | the answer typed in                  | the accepted answers; the first is the main one  |
+// | order    | every answer index, in chosen order  | every answer index, in the correct order         |
+const questionType =
+{
+    BOOLEAN : 'boolean',
+    MULTIPLE: 'multiple',
+    TEXT    : 'text',
+    ORDER   : 'order'
+};
+
+// How a room awards points for answers.
+const scoringMode =
+{
+    CLASSIC      : 'classic',       // The question's points for a right answer; the same taken away for a wrong one.
+    TIME_WEIGHTED: 'time weighted', // Like classic, but right answers earn less the longer they took.
+    STREAK       : 'streak',        // Like classic, but right answers in a row earn more and more.
+    NO_PENALTY   : 'no penalty'     // Like classic, but wrong answers cost nothing.
+};
+
+// In time weighted mode, the share of a question's points earned by a
+// right answer given as time runs out. Instant answers earn all of them.
+const MIN_SPEED_FACTOR = 0.5;
+
+// In streak mode, each right answer in a row adds this to the multiplier,
+// up to MAX_STREAK_MULTIPLIER.
+const STREAK_STEP           = 0.5;
+const MAX_STREAK_MULTIPLIER = 3;
+
+// How a team settles on its answer in team mode.
+const teamAnswerMode =
+{
+    MAJORITY    : 'majority',     // Every member votes; the most popular answer counts, ties going to the one picked first.
+    FIRST_ANSWER: 'first answer'  // The first member to answer locks in the team's answer.
+};
+
+// What a room does when its question provider has no questions left for
+// its category and difficulty.
+const outOfQuestionsAction =
+{
+    FALL_BACK: 'fall back', // Allow any difficulty, then any category, and carry on.
+    END      : 'end'        // End the game.
+};
+
+// When newcomers may start playing in a game that is under way. Anyone
+// may still come in to watch.
+const lateJoinPolicy =
+{
+    ALLOWED          : 'allowed',           // Join at any time and play straight away, starting from zero.
+    BETWEEN_QUESTIONS: 'between questions', // Newcomers watch the open question and play from the next one.
+    LOCKED           : 'locked',            // Nobody new may play once the game has started.
+    CATCH_UP         : 'catch up'           // Like allowed, but start with as many points as the last-placed player.
 };
 
-// Represents a trivia question.
+// Represents a trivia question. The correct answer never leaves the
+// server until the question ends; use getPublicView() to build what
+// is sent to clients and getReveal() for what is sent once it ends.
 class TriviaQuestion 
 {
-    constructor(question, answers, correctAnswerIndex) 
+    /*
+        | question           | The question text.                                                      |
+        | answers            | The answers to pick from or put in order (empty for text questions).    |
+        | correctAnswer      | What a right answer looks like; see questionType for each type's shape. |
+        | categoryName       | The name of the question's category.                                    |
+        | questionDifficulty | easy, medium or hard.                                                   |
+        | type               | One of questionType.                                                    |
+    */
+    constructor(question, answers, correctAnswer, categoryName = '', questionDifficulty = difficulty.MEDIUM, type = questionType.MULTIPLE) 
+    {
+        this.question      = question;
+        this.answers       = answers;
+        this.correctAnswer = correctAnswer;
+        this.categoryName  = categoryName;
+        this.difficulty    = questionDifficulty;
+        this.type          = type;
+    }
+
+    // Returns true if the given value is a well-formed answer to this question.
+    isValidAnswer(answer)
+    {
+        switch (this.type)
+        {
+            case questionType.TEXT:
+                return typeof answer === 'string' && answer.trim().length > 0;
+
+            case questionType.ORDER:
+                // Every answer index exactly once.
+                return Array.isArray(answer) && answer.length === this.answers.length &&
+                       answer.every(i => this.isAnswerIndex(i)) && new Set(answer).size === answer.length;
+
+            default:
+                return this.isAnswerIndex(answer);
+        }
+    }
+
+    isAnswerIndex(index)
+    {
+        return Number.isInteger(index) && index >= 0 && index < this.answers.length;
+    }
+
+    // Return how right the given answer is, from 0 (wrong) to 1 (right).
+    // Typed answers count if they are close to an accepted answer; ordering
+    // answers get credit for each answer in the right place.
+    gradeAnswer(answer)
+    {
+        if (!this.isValidAnswer(answer)) return 0;
+
+        switch (this.type)
+        {
+            case questionType.TEXT:
+                return this.correctAnswer.some(accepted => isCloseMatch(answer, accepted)) ? 1 : 0;
+
+            case questionType.ORDER:
+                return answer.filter((index, i) => index === this.correctAnswer[i]).length / answer.length;
+
+            default:
+                return answer === this.correctAnswer ? 1 : 0;
+        }
+    }
+
+    // Returns true if the given answer is entirely right.
+    isCorrectAnswer(answer)
     {
-        this.question           = question;
-        this.answers            = answers;
-        this.correctAnswerIndex = correctAnswerIndex;
-        this.categoryName       = '';
-        this.difficulty         = difficulty.MEDIUM;
+        return this.gradeAnswer(answer) === 1;
+    }
+
+    // Return a string that is the same for answers that count as the same,
+    // e.g. 'Paris' and ' paris'. Used to tally team votes.
+    getAnswerKey(answer)
+    {
+        return this.type === questionType.TEXT ? normalizeText(answer) : JSON.stringify(answer);
+    }
+
+    // The correct answer in words, e.g. for a chat message.
+    getCorrectAnswerText()
+    {
+        switch (this.type)
+        {
+            case questionType.TEXT : return this.correctAnswer[0];
+            case questionType.ORDER: return this.correctAnswer.map(i => this.answers[i]).join(', ');
+            default                : return this.answers[this.correctAnswer];
+        }
+    }
+
+    // Make the version of this question that is safe to send to clients.
+    // The correct answer is left out; it is only revealed once the question ends.
+    getPublicView()
+    {
+        return {
+            type        : this.type,
+            question    : this.question,
+            answers     : this.answers,
+            categoryName: this.categoryName,
+            difficulty  : this.difficulty
+        };
+    }
+
+    // What is sent to clients when the question ends.
+    /**
+     * {
+     *  type             : string, the questionType,
+     *  correctAnswer    : the correct answer in the shape of the type's answers
+     *                     (for text questions, the main accepted answer),
+     *  correctAnswerText: string, the correct answer in words
+     * }
+     */
+    getReveal()
+    {
+        return {
+            type             : this.type,
+            correctAnswer    : this.type === questionType.TEXT ? this.correctAnswer[0] : this.correctAnswer,
+            correctAnswerText: this.getCorrectAnswerText()
+        };
     }
 
     getPointValue()
@@ -82,7 +266,26 @@ class UserStatistics
         this.pointsChange        = 0;
         this.questionsRight      = numCorrect;
         this.questionsWrong      = numWrong;
-        this.selectedAnswerIndex = -1; // -1 means no answer selected
+        this.selectedAnswer      = null; // null means no answer selected
+        this.answerSecondsLeft   = 0;    // How many seconds were left when the answer was selected.
+        this.streak              = 0;    // How many questions in a row the user has gotten right.
+        this.team                = null; // The name of the user's team in team mode.
+    }
+}
+
+/*
+    The stats of a team in team mode. The team's selected answer is the
+    one it settled on (see teamAnswerMode).
+*/
+class TeamStatistics extends UserStatistics
+{
+    constructor(name)
+    {
+        super();
+        this.name       = name;
+        this.result     = null; // The answerResult of the last question.
+        this.credit     = 0;    // How right the team's last answer was, from 0 to 1.
+        this.lastPoints = null; // How the last question's points were worked out (see TriviaRoom.scoreAnswer()).
     }
 }
 
@@ -91,13 +294,26 @@ class UserStatistics
 */
 class RoomConfiguration
 {
-    constructor(category = null, difficulty = null, maxSeconds = 30, canSkipQuestions = false, numQuestions = 0)
+    constructor(category = null, difficulty = null, maxSeconds = 30, canSkipQuestions = false, numQuestions = 0, questionProvider = null, scoring = scoringMode.CLASSIC)
     {
         this.category         = category;   // null if no category
         this.difficulty       = difficulty; // easy, medium, hard, or null
         this.maxSeconds       = maxSeconds;
         this.canSkipQuestions = canSkipQuestions;
-        this.questionCount    = numQuestions; // 0 means unlimited questions; the game never ends
+        this.questionCount    = numQuestions;     // 0 means unlimited questions; the game never ends
+        this.questionProvider = questionProvider; // name of the question provider; null for the default
+        this.scoringMode      = scoring;          // one of scoringMode
+        this.endQuestionEarly = true;             // move on as soon as every connected player has answered
+        this.teamNames        = [];               // the teams in team mode; empty for free-for-all
+        this.teamAnswerMode   = teamAnswerMode.MAJORITY;
+        this.outOfQuestions   = outOfQuestionsAction.FALL_BACK;
+        this.spectatorChat    = true;             // false keeps spectators out of the chat
+        this.lateJoin         = lateJoinPolicy.ALLOWED;
+
+        // Who can find and join the room.
+        this.listed     = true; // false keeps the room out of the lobby's room list
+        this.password   = null; // hashed (see user.js's hashRoomPassword()); null if anyone may join
+        this.maxPlayers = 0;    // 0 means no limit
     }
 
     // Returns true if the room is set to a specific category, or false
@@ -113,6 +329,12 @@ class RoomConfiguration
     {
         return this.difficulty != null;
     }
+
+    // Returns true if players play in teams.
+    hasTeams()
+    {
+        return this.teamNames.length > 0;
+    }
 }
 
 // Represents a room in which trivia players play a 
@@ -120,12 +342,15 @@ class RoomConfiguration
 // trivia.
 class TriviaRoom extends RoomBase
 {
-    constructor(ioInstance, name, deleteOnLastUser = true, config)
+    // If host is given, that user owns the room and the game waits for
+    // them to start it. makeNewRoom() starts rooms without a host right away.
+    constructor(ioInstance, name, deleteOnLastUser = true, config, host = null)
     {
         super(ioInstance);
+        this.setName(name);
 
         this.id                = generateId();
-        this.name              = name;
+        this.gameType          = 'trivia';
         this.timerId           = -1;
         this.secondsLeft       = config.maxSeconds;
         this.currentQuestion   = null;
@@ -133,70 +358,688 @@ class TriviaRoom extends RoomBase
         this.config            = config;
         this.acceptAnswers     = true;
         this.questionsAnswered = 0;
+        this.failedRequests    = 0; // Question requests that have failed in a row.
+        this.host              = host;
+        this.phase             = roomPhase.WAITING;
+        this.paused            = false;
 
-        // Maps usernames to the stats each user has.
-        this.userStats = {};
+        // Lets invited users in without the password.
+        this.inviteCode = crypto.randomBytes(8).toString('hex');
 
-        this.requestNewQuestion();
+        // Maps usernames to the stats each user has. These are Maps since
+        // nicknames and team names come from clients.
+        this.userStats = new Map();
+
+        // Maps team names to the stats each team has, in team mode.
+        this.teamStats = new Map();
+        this.resetTeams(config.teamNames);
+
+        // Lower-case nicknames and addresses the host has banned.
+        this.bannedNicknames = new Set();
+        this.bannedAddresses = new Set();
+
+        // The users watching instead of playing, and those of them who
+        // will play from the next question on.
+        this.spectators     = new Set();
+        this.pendingPlayers = new Set();
+
+        // Maps the nicknames of players who left the game under way to the
+        // stats they had, so they carry on from there if they come back.
+        this.leaverStats = new Map();
+
+        // Set on rooms restored after a restart (see restoreSnapshot()).
+        this.returningHost  = null;  // The nickname of the host to give the room back to.
+        this.resumeOnReturn = false; // true to resume the game when the first player is back.
+        this.restoreTimerId = -1;
     }
 
-    // Add a user to the room.
+    // Add a user to the room. Banned users are turned away.
     addUser(user)
     {
+        if (this.isBanned(user))
+        {
+            user.socket.emit('banned from room', this.id);
+            return;
+        }
+
+        // Rooms that only let players in between questions have newcomers
+        // watch the open question first. Players coming back don't wait.
+        if 
+        (
+            !this.isSpectator(user) && this.phase === roomPhase.QUESTION && 
+            this.config.lateJoin === lateJoinPolicy.BETWEEN_QUESTIONS &&
+            !this.leaverStats.has(user.nickname)
+        )
+        {
+            this.spectators.add(user);
+            this.pendingPlayers.add(user);
+        }
+
         super.addUser(user);
-        this.userStats[user.nickname] = new UserStatistics();
+
+        // After a restart, the host gets their room back.
+        if (!this.host && this.returningHost === user.nickname)
+        {
+            this.host          = user;
+            this.returningHost = null;
+        }
+
+        // Spectators have no stats, so they can't answer and aren't scored.
+        if (!this.isSpectator(user))
+        {
+            this.userStats.set(user.nickname, this.makePlayerStats(user));
+
+            // Once the game is going, newcomers are put on a team for them.
+            if (this.phase !== roomPhase.WAITING) this.balanceTeams();
+        }
+
+        this.listenForAnswers(user);
+        this.listenForHostControls(user);
+        this.listenForTeamChoice(user);
+        this.listenForJoinAsPlayer(user);
+        
+        this.sendEnteredGameRoom(user);
+        this.sendRoleToOne(user);
+        this.sendRoomStateToAll();
+        this.sendUserStatsToAll(user);
+
+        if (!this.isGameOver())
+            this.sendCurrentQuestionToOne(user);
+        else
+            this.sendGameOverToOne(user);
+
+        // A restored game carries on once its first player is back.
+        if (this.resumeOnReturn && !this.isSpectator(user))
+        {
+            this.resumeOnReturn = false;
+            this.resumeGame();
+        }
+
+        this.updateAnswerProgress();
+        triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+    }
+
+    // Add a user to the room to watch. Spectators see the questions, the
+    // countdown, the chat and the results, but can't answer and aren't
+    // scored. They can ask to play from the next question on with
+    // 'join as player'.
+    addSpectator(user)
+    {
+        if (this.isUserInRoom(user)) return;
+
+        this.spectators.add(user);
+        this.addUser(user);
+
+        // Banned users never made it in.
+        if (!this.isUserInRoom(user)) this.spectators.delete(user);
+    }
+
+    // Bring a reconnecting user back up to date. Their stats were kept
+    // while they were gone.
+    reconnectUser(user)
+    {
+        super.reconnectUser(user);
+        this.listenForAnswers(user);
+        this.listenForHostControls(user);
+        this.listenForTeamChoice(user);
+        this.listenForJoinAsPlayer(user);
+
+        this.sendEnteredGameRoom(user);
+        this.sendRoleToOne(user);
+        this.sendRoomStateToOne(user);
+        this.sendUserStatsToOne(user);
+
+        if (!this.isGameOver())
+        {
+            this.sendCurrentQuestionToOne(user);
+            user.socket.emit('seconds left', this.secondsLeft);
+        }
+        else
+            this.sendGameOverToOne(user);
+
+        this.updateAnswerProgress();
+    }
+
+    // A player whose connection drops isn't waited on to answer.
+    disconnectUser(user)
+    {
+        super.disconnectUser(user);
+        this.updateAnswerProgress();
+    }
+
+    // Start listening for the user's answers.
+    listenForAnswers(user)
+    {
+        user.socket.removeAllListeners('answer');
 
         // Called when the user selects an answer.
         /**
-         * 'answer' comes with a number, the index of the answer the
-         * user selected.
+         * 'answer' comes with the user's answer, shaped by the question's
+         * type (see questionType): an answer index, the text typed in, or
+         * every answer index in the chosen order.
          */
         user.socket.on
         (
-            'answer', (answerNumber) => 
-            {
-                let stats = this.userStats[user.nickname] || null;
-                if (stats && stats.selectedAnswerIndex === -1 && this.acceptAnswers) 
-                {
-                    stats.selectedAnswerIndex = answerNumber;
-                }
-            }
+            'answer', (answer) => 
+            {
+                let stats = this.userStats.get(user.nickname) || null;
+
+                // Only one answer per question, only while the question is open,
+                // and only an answer that fits the question.
+                if 
+                (
+                    !stats || !this.currentQuestion || !this.acceptAnswers ||
+                    this.hasAnswered(user) ||
+                    !this.currentQuestion.isValidAnswer(answer)
+                )
+                {
+                    user.socket.emit('invalid answer', answer);
+                    return;
+                }
+
+                stats.selectedAnswer    = answer;
+                stats.answerSecondsLeft = this.secondsLeft;
+
+                let team = this.getTeamStats(user);
+                if (team)
+                {
+                    let locked = this.config.teamAnswerMode === teamAnswerMode.FIRST_ANSWER;
+                    if (locked)
+                    {
+                        team.selectedAnswer    = answer;
+                        team.answerSecondsLeft = this.secondsLeft;
+                    }
+
+                    // Teammates see each other's picks; nobody else does.
+                    /**
+                     * 'team answer' comes with:
+                     * {
+                     *  nickname: string, the teammate who answered,
+                     *  answer  : their answer (see 'answer'),
+                     *  locked  : boolean, true if this is now the team's answer
+                     * }
+                     */
+                    this.getTeamMembers(team.name).forEach
+                    (
+                        u => u.socket.emit('team answer', { nickname: user.nickname, answer: answer, locked: locked })
+                    );
+                }
+
+                this.updateAnswerProgress();
+            }
+        );
+    }
+
+    // Start listening for the host's commands. Every user gets these
+    // listeners since the host can change; they check who is asking.
+    /**
+     * 'kick user', 'ban user', 'transfer host', 'mute user' and 'unmute user'
+     * come with the nickname of the user to act on. 'set teams' comes with
+     * an array of team names. The other commands come with nothing.
+     */
+    listenForHostControls(user)
+    {
+        for (let method in hostControls)
+        {
+            let eventName = hostControls[method];
+            user.socket.removeAllListeners(eventName);
+            user.socket.on
+            (
+                eventName, (...args) =>
+                {
+                    if (this.host !== user)
+                    {
+                        user.socket.emit('not host', eventName);
+                        return;
+                    }
+
+                    this[method](...args);
+                }
+            );
+        }
+    }
+
+    // Let the user pick their team before the game starts.
+    /**
+     * 'join team' comes with the name of the team to join.
+     */
+    listenForTeamChoice(user)
+    {
+        user.socket.removeAllListeners('join team');
+        user.socket.on
+        (
+            'join team', (name) =>
+            {
+                if (this.phase !== roomPhase.WAITING || this.isSpectator(user)) return;
+
+                if (!this.config.hasTeams() || !this.teamStats.has(name))
+                {
+                    validation.sendError(user.socket, 'join team', validation.errorCode.UNKNOWN_TEAM, `There is no team named '${name}'.`);
+                    return;
+                }
+
+                this.userStats.get(user.nickname).team = name;
+                this.sendRoomStateToAll();
+            }
+        );
+    }
+
+    // Let a spectator ask to play. They become a player when the next
+    // question is asked, or right away if no question is under way.
+    listenForJoinAsPlayer(user)
+    {
+        user.socket.removeAllListeners('join as player');
+        user.socket.on
+        (
+            'join as player', () =>
+            {
+                if (!this.isSpectator(user) || this.pendingPlayers.has(user)) return;
+
+                if (this.isFull())
+                {
+                    validation.sendError(user.socket, 'join as player', validation.errorCode.ROOM_FULL, 'This room has no room for another player.');
+                    return;
+                }
+
+                if (this.isLockedTo(user))
+                {
+                    validation.sendError(user.socket, 'join as player', validation.errorCode.GAME_IN_PROGRESS, 'New players can\'t join once the game has started.');
+                    return;
+                }
+
+                this.pendingPlayers.add(user);
+                if (this.phase === roomPhase.WAITING || this.phase === roomPhase.GAME_OVER) this.admitPendingPlayers();
+                else                                                                         this.sendRoleToOne(user);
+            }
+        );
+    }
+
+    // Turn the spectators who asked to play into players. Any who would
+    // overfill the room stay spectators and are told why.
+    admitPendingPlayers()
+    {
+        if (this.pendingPlayers.size === 0) return;
+
+        this.pendingPlayers.forEach
+        (
+            user =>
+            {
+                if (this.isFull())
+                {
+                    validation.sendError(user.socket, 'join as player', validation.errorCode.ROOM_FULL, 'This room has no room for another player.');
+                }
+                else
+                {
+                    this.spectators.delete(user);
+                    this.userStats.set(user.nickname, this.makePlayerStats(user));
+                }
+
+                this.sendRoleToOne(user);
+            }
+        );
+
+        this.pendingPlayers.clear();
+        if (this.phase !== roomPhase.WAITING) this.balanceTeams();
+
+        this.sendRoomStateToAll();
+        this.sendUserStatsToAll();
+        triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+    }
+
+    // Return the stats a user starts playing with: the ones they had if
+    // they left this game and came back, otherwise new ones. Under the
+    // catch up policy, newcomers to a game under way start level with
+    // the last-placed player.
+    makePlayerStats(user)
+    {
+        if (this.leaverStats.has(user.nickname))
+        {
+            let stats = this.leaverStats.get(user.nickname);
+            this.leaverStats.delete(user.nickname);
+            return stats;
+        }
+
+        let stats  = new UserStatistics();
+        let points = [...this.userStats.values()].map(s => s.points);
+        if (this.config.lateJoin === lateJoinPolicy.CATCH_UP && this.isUnderWay() && points.length > 0)
+            stats.points = Math.min(...points);
+
+        return stats;
+    }
+
+    // Returns true if the room won't take the user as a new player: the
+    // room is locked, the game is under way and they weren't playing in it.
+    isLockedTo(user)
+    {
+        return this.config.lateJoin === lateJoinPolicy.LOCKED && this.isUnderWay() && !this.leaverStats.has(user.nickname);
+    }
+
+    // Returns true if the game has started and isn't over yet.
+    isUnderWay()
+    {
+        return this.phase !== roomPhase.WAITING && !this.isGameOver();
+    }
+
+    isSpectator(user)
+    {
+        return this.spectators.has(user);
+    }
+
+    // The users in the room who aren't spectators.
+    getPlayers()
+    {
+        return this.users.filter(u => !this.isSpectator(u));
+    }
+
+    getPlayerCount()
+    {
+        return this.getPlayers().length;
+    }
+
+    canSpectate()
+    {
+        return true;
+    }
+
+    // Spectators may chat only if the room allows it.
+    canChat(user, eventName)
+    {
+        if (this.isSpectator(user) && !this.config.spectatorChat)
+        {
+            validation.sendError(user.socket, eventName, validation.errorCode.MUTED, 'Spectators can\'t chat in this room.');
+            return false;
+        }
+
+        return super.canChat(user, eventName);
+    }
+
+    // Tell the user whether they are watching or playing.
+    /**
+     * 'role' comes with:
+     * {
+     *  spectator          : boolean, true if the user is watching,
+     *  joiningNextQuestion: boolean, true if they asked to play and will from the next question
+     * }
+     */
+    sendRoleToOne(user)
+    {
+        user.socket.emit
+        (
+            'role', 
+            { 
+                spectator          : this.isSpectator(user), 
+                joiningNextQuestion: this.pendingPlayers.has(user) 
+            }
+        );
+    }
+
+    // Remove the given user from the room. If they were the host,
+    // the player who has been here the longest becomes the host.
+    removeUser(user)
+    {
+        super.removeUser(user);
+
+        // A player who leaves mid-game keeps their stats for when they come
+        // back, less their unscored answer and their streak.
+        let stats = this.userStats.get(user.nickname);
+        if (stats && this.isUnderWay())
+        {
+            stats.selectedAnswer = null;
+            stats.pointsChange   = 0;
+            stats.streak         = 0;
+            this.leaverStats.set(user.nickname, stats);
+        }
+        this.userStats.delete(user.nickname);
+        this.spectators.delete(user);
+        this.pendingPlayers.delete(user);
+
+        // Stop listening for answer and host events from this user.
+        user.socket.removeAllListeners('answer');
+        user.socket.removeAllListeners('join team');
+        user.socket.removeAllListeners('join as player');
+        Object.values(hostControls).forEach(e => user.socket.removeAllListeners(e));
+
+        this.sendLeftGameRoom(user);
+        this.sendUserStatsToAll(user);
+
+        if (this.host === user)
+        {
+            this.host = this.getPlayers()[0] || this.users[0] || null;
+            if (this.host)
+                console.log(`${this.host.nickname} is now the host of room ${this.id}.`);
+
+            // A room that loses its last possible host would wait forever.
+            if (!this.host && this.phase === roomPhase.WAITING)
+                this.startGame();
+
+            this.sendRoomStateToAll();
+        }
+        else if (this.config.hasTeams()) this.sendRoomStateToAll();
+
+        // If this was the last user, remove this room
+        // from the room list and stop the timer.
+        if (this.users.length === 0 && this.deleteOnLastUser)
+        {
+            deleteRoom(this);
+            console.log(`Deleted room ${this.id}.`);
+        }
+        else
+        {
+            this.updateAnswerProgress();
+            triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+        }
+    }
+
+    // Start asking questions.
+    startGame()
+    {
+        if (this.phase !== roomPhase.WAITING) return;
+
+        this.phase = roomPhase.LOADING;
+        this.balanceTeams();
+        this.sendRoomStateToAll();
+        this.requestNewQuestion();
+    }
+
+    // Stop the countdown (or the break between questions) until the host resumes.
+    pauseGame()
+    {
+        if (this.paused || (this.phase !== roomPhase.QUESTION && this.phase !== roomPhase.INTERMISSION))
+            return;
+
+        clearTimeout(this.timerId);
+        this.timerId = -1;
+        this.paused  = true;
+        this.sendRoomStateToAll();
+    }
+
+    resumeGame()
+    {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.sendRoomStateToAll();
+
+        if (this.phase === roomPhase.QUESTION)
+        {
+            this.timerId = setTimeout(timer, 1000, this);
+
+            // Everyone may have answered during the pause.
+            this.updateAnswerProgress();
+        }
+        else
+            this.requestNewQuestion();
+    }
+
+    // Throw away the current question without scoring it and move on
+    // to a new one. The skipped question doesn't count towards the
+    // question count.
+    skipQuestion()
+    {
+        if (this.phase !== roomPhase.QUESTION) return;
+
+        clearTimeout(this.timerId);
+        this.timerId       = -1;
+        this.paused        = false;
+        this.acceptAnswers = false;
+
+        this.resetSelections();
+
+        this.io.to(this.id).emit('question skipped');
+        this.requestNewQuestion();
+    }
+
+    // Send the user with the given nickname back to the lobby.
+    kickUser(nickname)
+    {
+        let user = this.users.find(u => u.nickname === nickname);
+        if (!user || user === this.host) return;
+
+        console.log(`${nickname} was kicked from room ${this.id}.`);
+        user.socket.emit('kicked from room', this.id);
+        user.lobby.addUser(user);
+    }
+
+    // Kick the user with the given nickname and keep them (and anyone
+    // else connecting from the same address) from coming back.
+    banUser(nickname)
+    {
+        let user = this.users.find(u => u.nickname === nickname);
+        if (user === this.host) return;
+
+        this.bannedNicknames.add(String(nickname).toLowerCase());
+        if (user) 
+        {
+            this.bannedAddresses.add(user.socket.handshake.address);
+            this.kickUser(nickname);
+        }
+    }
+
+    // Make the user with the given nickname the host.
+    transferHost(nickname)
+    {
+        let user = this.users.find(u => u.nickname === nickname);
+        if (!user) return;
+
+        this.host = user;
+        this.sendRoomStateToAll();
+    }
+
+    // Set the teams players can join, taking everyone off their team.
+    // Only works before the game starts. Fewer than two teams means
+    // free-for-all.
+    setTeams(names)
+    {
+        if (this.phase !== roomPhase.WAITING) return;
+
+        this.resetTeams(names);
+        this.userStats.forEach(stats => stats.team = null);
+
+        this.sendRoomStateToAll();
+        this.sendUserStatsToAll();
+        triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+    }
+
+    // Start the given teams from scratch. Names that differ only in
+    // case are the same team.
+    resetTeams(names)
+    {
+        let unique = [];
+        names.forEach
+        (
+            name =>
+            {
+                if (!unique.some(n => n.toLowerCase() === name.toLowerCase())) unique.push(name);
+            }
+        );
+        unique = unique.slice(0, validation.limits.MAX_TEAMS);
+        if (unique.length < 2) unique = [];
+
+        this.config.teamNames = unique;
+        this.teamStats        = new Map(unique.map(name => [name, new TeamStatistics(name)]));
+    }
+
+    // Put everyone who isn't on a team on the team with the fewest members.
+    balanceTeams()
+    {
+        if (!this.config.hasTeams()) return;
+
+        this.getPlayers()
+            .filter(u => this.userStats.get(u.nickname).team === null)
+            .forEach
+            (
+                u =>
+                {
+                    let smallest = this.config.teamNames.reduce
+                    (
+                        (best, name) => this.getTeamMembers(name).length < this.getTeamMembers(best).length ? name : best
+                    );
+                    this.userStats.get(u.nickname).team = smallest;
+                }
+            );
+    }
+
+    // Return the stats of the user's team, or null if they aren't on one.
+    getTeamStats(user)
+    {
+        let stats = this.userStats.get(user.nickname);
+        return stats && stats.team ? this.teamStats.get(stats.team) : null;
+    }
+
+    getTeamMembers(name)
+    {
+        return this.getPlayers().filter(u => this.userStats.get(u.nickname).team === name);
+    }
+
+    // The teams and who is on them, for 'room state'.
+    getTeamList()
+    {
+        return this.config.teamNames.map
+        (
+            name => ({ name: name, members: this.getTeamMembers(name).map(u => u.nickname) })
         );
-        
-        this.sendEnteredGameRoom(user);
-        this.sendUserStatsToAll(user);
+    }
 
-        if (!this.isGameOver())
-            this.sendCurrentQuestionToOne(user);
-        else
-            this.sendGameOverToOne(user);
+    // Banned users can't join even with an invite, and locked rooms
+    // don't take new players once the game has started.
+    getJoinError(user, passwordRight = false, inviteCode = null, asSpectator = false)
+    {
+        if (this.isBanned(user)) return RoomBase.joinError.BANNED;
+        if (!asSpectator && !this.isUserInRoom(user) && this.isLockedTo(user))
+            return RoomBase.joinError.GAME_IN_PROGRESS;
 
-        triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+        return super.getJoinError(user, passwordRight, inviteCode, asSpectator);
     }
 
-    // Remove the given user from the room.
-    removeUser(user)
+    // Returns true if the host has banned the user's nickname or address.
+    isBanned(user)
     {
-        super.removeUser(user);
-        delete this.userStats[user.nickname];
+        return this.bannedNicknames.has(user.nickname.toLowerCase()) ||
+               this.bannedAddresses.has(user.socket.handshake.address);
+    }
 
-        // Stop listening for answer events from this user.
-        user.socket.removeAllListeners('answer');
+    // Tell everyone who the host is, what stage the game is in and
+    // whether it is paused.
+    sendRoomStateToAll()
+    {
+        this.io.to(this.id).emit('room state', this.getRoomState());
+    }
 
-        this.sendLeftGameRoom(user);
-        this.sendUserStatsToAll(user);
+    sendRoomStateToOne(user)
+    {
+        user.socket.emit('room state', this.getRoomState());
+    }
 
-        // If this was the last user, remove this room
-        // from the room list and stop the timer.
-        if (this.users.length === 0 && this.deleteOnLastUser)
-        {
-            deleteRoom(this);
-            console.log(`Deleted room ${this.id}.`);
-        }
-        else
-        {
-            triviaEventEmitter.emit(events.UPDATE_ROOM, this);
-        }
+    getRoomState()
+    {
+        return {
+            host          : this.host ? this.host.nickname : null,
+            phase         : this.phase,
+            paused        : this.paused,
+            teams         : this.getTeamList(), // [{ name, members: [nickname] }]; empty for free-for-all
+            teamAnswerMode: this.config.teamAnswerMode,
+            spectators    : [...this.spectators].map(u => u.nickname)
+        };
     }
 
     // Tell each connected user if their answer was right or wrong
@@ -206,41 +1049,47 @@ class TriviaRoom extends RoomBase
     {
         if (this.currentQuestion)
         {
-            this.users.forEach
+            this.scoreTeams();
+
+            this.getPlayers().forEach
             (
                 (user) => 
                 {
-                    let stats = this.userStats[user.nickname];
-                    let result;
+                    let stats = this.userStats.get(user.nickname);
+                    let team  = this.getTeamStats(user);
 
-                    if (stats.selectedAnswerIndex === -1 && this.config.canSkipQuestions)
-                    {
-                        // Set the answer to skipped if they made no selection and
-                        // the room is configured to allow skips.
-                        result = answerResult.SKIPPED;
-                        stats.pointsChange = 0;
-                        ++stats.questionsWrong;
-                    }
-                    else
-                    {
-                        // Otherwise, mark the answer as right or wrong.
-                        result = stats.selectedAnswerIndex === this.currentQuestion.correctAnswerIndex 
-                            ? answerResult.CORRECT 
-                            : answerResult.INCORRECT;
-                        
-                        stats.pointsChange = result === answerResult.CORRECT 
-                            ? this.currentQuestion.getPointValue() 
-                            : -this.currentQuestion.getPointValue();
-
-                        result === answerResult.CORRECT 
-                            ? ++stats.questionsRight 
-                            : ++stats.questionsWrong;
-                    }
+                    // Team members share their team's result and points.
+                    let credit = team ? team.credit : this.gradeAnswer(stats);
+                    let result = team ? team.result : this.getAnswerResult(stats, credit);
+                    stats.streak = result === answerResult.CORRECT ? stats.streak + 1 : 0;
+
+                    let points = team ? team.lastPoints : this.scoreAnswer(stats, result, credit);
+                    applyResult(stats, result, points);
+
+                    triviaEventEmitter.emit(events.ANSWER_RESULT, this, user, this.currentQuestion, result);
 
-                    // Update points and send the result.
-                    stats.points += stats.pointsChange;
-                    if (stats.points < 0) stats.points = 0;
-                    user.socket.emit('answer result', result)
+                    /**
+                     * 'answer result' comes with:
+                     * {
+                     *  result        : an answerResult,
+                     *  selectedAnswer: the user's answer (see 'answer'), null if they didn't answer,
+                     *  teamAnswer    : the answer the user's team settled on (null if it had none
+                     *                  or outside of team mode),
+                     *  correctAnswer : the correct answer (see TriviaQuestion.getReveal()),
+                     *  points        : how the points were worked out (see scoreAnswer())
+                     * }
+                     */
+                    user.socket.emit
+                    (
+                        'answer result', 
+                        {
+                            result        : result,
+                            selectedAnswer: stats.selectedAnswer,
+                            teamAnswer    : team ? team.selectedAnswer : null,
+                            correctAnswer : this.currentQuestion.getReveal().correctAnswer,
+                            points        : points
+                        }
+                    );
                 }
             );
 
@@ -248,8 +1097,144 @@ class TriviaRoom extends RoomBase
             this.sendUserStatsToAll();
 
             // Reset answer selections.
-            for (let u in this.userStats) this.userStats[u].selectedAnswerIndex = -1;
+            this.resetSelections();
+        }
+    }
+
+    // Settle each team's answer to the current question, then score it.
+    // Teams without members sit the question out.
+    scoreTeams()
+    {
+        for (let [name, team] of this.teamStats)
+        {
+            let members = this.getTeamMembers(name);
+            if (members.length === 0) continue;
+
+            if (this.config.teamAnswerMode === teamAnswerMode.MAJORITY)
+                this.countVotes(team, members);
+
+            team.credit     = this.gradeAnswer(team);
+            team.result     = this.getAnswerResult(team, team.credit);
+            team.streak     = team.result === answerResult.CORRECT ? team.streak + 1 : 0;
+            team.lastPoints = this.scoreAnswer(team, team.result, team.credit);
+            applyResult(team, team.result, team.lastPoints);
+        }
+    }
+
+    // Make the most popular answer among the members the team's answer.
+    // Ties go to the answer that was picked first.
+    countVotes(team, members)
+    {
+        let votes = new Map(); // Maps answer keys to { answer, count, secondsLeft }.
+        members
+            .map(u => this.userStats.get(u.nickname))
+            .filter(stats => stats.selectedAnswer !== null)
+            .forEach
+            (
+                stats =>
+                {
+                    let key  = this.currentQuestion.getAnswerKey(stats.selectedAnswer);
+                    let vote = votes.get(key) || { answer: stats.selectedAnswer, count: 0, secondsLeft: 0 };
+                    vote.count      += 1;
+                    vote.secondsLeft = Math.max(vote.secondsLeft, stats.answerSecondsLeft);
+                    votes.set(key, vote);
+                }
+            );
+
+        let best = null;
+        for (let vote of votes.values())
+        {
+            if (!best || vote.count > best.count || (vote.count === best.count && vote.secondsLeft > best.secondsLeft))
+                best = vote;
+        }
+
+        team.selectedAnswer    = best ? best.answer      : null;
+        team.answerSecondsLeft = best ? best.secondsLeft : 0;
+    }
+
+    // Return how right the given stats' selected answer to the current
+    // question is, from 0 to 1.
+    gradeAnswer(stats)
+    {
+        return stats.selectedAnswer === null ? 0 : this.currentQuestion.gradeAnswer(stats.selectedAnswer);
+    }
+
+    // Whether the given stats' selected answer to the current question
+    // was right, partly right, wrong or skipped. credit is the answer's
+    // grade (see gradeAnswer()).
+    getAnswerResult(stats, credit)
+    {
+        // Making no selection counts as skipping if the room allows skips.
+        if (stats.selectedAnswer === null && this.config.canSkipQuestions)
+            return answerResult.SKIPPED;
+
+        if (credit === 1) return answerResult.CORRECT;
+        if (credit > 0)   return answerResult.PARTIAL;
+        return answerResult.INCORRECT;
+    }
+
+    // Clear every user's and team's answer to the current question.
+    resetSelections()
+    {
+        this.userStats.forEach(stats => stats.selectedAnswer = null);
+        this.teamStats.forEach(team => team.selectedAnswer = null);
+    }
+
+    // Work out the points the user gets for their answer to the current
+    // question under the room's scoring mode. stats.streak must already
+    // count this answer, and credit is the answer's grade. Returns:
+    /**
+     * {
+     *  mode       : the room's scoringMode,
+     *  basePoints : number, what the question is worth,
+     *  credit     : number from 0 to 1, the share of basePoints earned for how right the answer was,
+     *  speedFactor: number from 0 to 1, the share of basePoints earned for answering quickly
+     *               (always 1 outside of time weighted mode),
+     *  streak     : number, right answers in a row including this one,
+     *  multiplier : number, the streak multiplier (always 1 outside of streak mode),
+     *  penalty    : number, the points taken away for a wrong answer,
+     *  total      : number, the points gained (negative if lost)
+     * }
+     */
+    scoreAnswer(stats, result, credit = 1)
+    {
+        let mode       = this.config.scoringMode;
+        let basePoints = this.currentQuestion.getPointValue();
+        let points     = 
+        {
+            mode       : mode,
+            basePoints : basePoints,
+            credit     : result === answerResult.INCORRECT ? 0 : credit,
+            speedFactor: 1,
+            streak     : stats.streak,
+            multiplier : 1,
+            penalty    : 0,
+            total      : 0
+        };
+
+        if (result === answerResult.SKIPPED) return points;
+
+        if (result === answerResult.INCORRECT)
+        {
+            if (mode !== scoringMode.NO_PENALTY) points.penalty = basePoints;
+            points.total = -points.penalty;
+            return points;
         }
+
+        if (mode === scoringMode.TIME_WEIGHTED)
+        {
+            // The count starts at maxSeconds - 1 (see setNewQuestion()),
+            // so an answer in the first second earns full points.
+            let timeShare      = Math.min(stats.answerSecondsLeft / (this.config.maxSeconds - 1), 1);
+            points.speedFactor = MIN_SPEED_FACTOR + (1 - MIN_SPEED_FACTOR) * timeShare;
+        }
+        else if (mode === scoringMode.STREAK && result === answerResult.CORRECT)
+        {
+            points.multiplier = Math.min(1 + STREAK_STEP * (stats.streak - 1), MAX_STREAK_MULTIPLIER);
+        }
+
+        points.total = Math.round(basePoints * points.credit * points.speedFactor * points.multiplier);
+        return points;
     }
 
     // Tell each connected user how many seconds are left until the
@@ -268,7 +1253,7 @@ class TriviaRoom extends RoomBase
             (
                 'set question', 
                 {
-                    ...this.currentQuestion,
+                    ...this.currentQuestion.getPublicView(),
                     questionNumber: this.questionsAnswered + 1, 
                     questionCount: this.config.questionCount
                 }
@@ -285,7 +1270,7 @@ class TriviaRoom extends RoomBase
             (
                 'set question', 
                 {
-                    ...this.currentQuestion, 
+                    ...this.currentQuestion.getPublicView(), 
                     questionNumber: this.questionsAnswered + 1, 
                     questionCount: this.config.questionCount
                 }
@@ -307,47 +1292,216 @@ class TriviaRoom extends RoomBase
 
     // Notify all users in the room of point total changes for each user.
     // For example, if everyone now has 100 points, that change would be reflected
-    // here.
+    // here. The team totals, best first, come second (empty outside of
+    // team mode).
     sendUserStatsToAll()
     {
         let updates = this.getUserStats();
-        this.io.to(this.id).emit('set user stats', updates);
+        this.io.to(this.id).emit('set user stats', updates, this.getRankedTeamStats());
     }
 
     // Send the point totals to a specific user.
     sendUserStatsToOne(user)
     {
         let updates = this.getUserStats();
-        user.socket.emit('set user stats', updates);
+        user.socket.emit('set user stats', updates, this.getRankedTeamStats());
     }
 
-    // Compile the stats of all the users.
+    // Compile the stats of all the users. Which answer each user picked
+    // is left out so nobody can see it while the question is open.
     getUserStats()
     {
         let updates = [];
-        this.users.forEach
+        this.getPlayers().forEach
         (
             u => 
-            updates.push
+            {
+                let { selectedAnswer, answerSecondsLeft, ...stats } = this.userStats.get(u.nickname);
+                updates.push({ nickname: u.nickname, ...stats });
+            }
+        );
+
+        return updates;
+    }
+
+    // Compile the stats of all the teams, best first. Each one is:
+    /**
+     * {
+     *  rank          : number, starting at 1; tied teams share a rank,
+     *  name          : string,
+     *  members       : [nickname],
+     *  points        : number,
+     *  pointsChange  : number,
+     *  questionsRight: number,
+     *  questionsWrong: number,
+     *  streak        : number
+     * }
+     */
+    getRankedTeamStats()
+    {
+        let ranked = [...this.teamStats.values()]
+            .map
             (
-                {
-                    nickname: u.nickname,
-                    ...this.userStats[u.nickname]
-                }
+                t =>
+                ({
+                    name          : t.name,
+                    members       : this.getTeamMembers(t.name).map(u => u.nickname),
+                    points        : t.points,
+                    pointsChange  : t.pointsChange,
+                    questionsRight: t.questionsRight,
+                    questionsWrong: t.questionsWrong,
+                    streak        : t.streak
+                })
             )
+            .sort(compareStats);
+
+        ranked.forEach
+        (
+            (team, i) => team.rank = i > 0 && compareStats(team, ranked[i - 1]) === 0 ? ranked[i - 1].rank : i + 1
         );
 
-        return updates;
+        return ranked;
     }
 
     // Set the current question.
     setNewQuestion(question) 
     {
+        // Spectators who asked to play start with this question.
+        this.admitPendingPlayers();
+
         this.currentQuestion = question;
         this.secondsLeft     = this.config.maxSeconds;
+        this.phase           = roomPhase.QUESTION;
+
+        this.sendRoomStateToAll();
 
         this.io.to(this.id).emit('seconds left', --this.secondsLeft);
         this.sendCurrentQuestionToAll();
+        this.updateAnswerProgress();
+    }
+
+    // Tell everyone how many of the players who are expected to answer
+    // have done so, then end the question if that's all of them and the
+    // room is set to end questions early.
+    updateAnswerProgress()
+    {
+        if (this.phase !== roomPhase.QUESTION || !this.acceptAnswers) return;
+
+        let players  = this.getActivePlayers();
+        let answered = players.filter(u => this.hasAnswered(u)).length;
+
+        /**
+         * 'answer progress' comes with:
+         * {
+         *  answered: number, how many players have answered,
+         *  total   : number, how many players are expected to answer
+         * }
+         */
+        this.io.to(this.id).emit('answer progress', { answered: answered, total: players.length });
+
+        if (this.config.endQuestionEarly && !this.paused && players.length > 0 && answered === players.length)
+        {
+            clearTimeout(this.timerId);
+            this.timerId = -1;
+            this.endQuestion();
+        }
+    }
+
+    // Returns true if the user has answered the current question. When the
+    // first answer locks in a team's answer, that counts for the whole team.
+    hasAnswered(user)
+    {
+        let team = this.getTeamStats(user);
+        if (team && this.config.teamAnswerMode === teamAnswerMode.FIRST_ANSWER)
+            return team.selectedAnswer !== null;
+
+        return this.userStats.get(user.nickname).selectedAnswer !== null;
+    }
+
+    // The users expected to answer: every player whose connection hasn't
+    // dropped.
+    getActivePlayers()
+    {
+        return this.getPlayers().filter(u => u.connected);
+    }
+
+    // Close the current question, reveal the answer and score it, then
+    // either wait for the next question or end the game.
+    endQuestion()
+    {
+        ++this.questionsAnswered;
+        this.acceptAnswers = false;
+
+        // The correct answer is only revealed once answers are closed.
+        this.io.to(this.id).emit('end question', this.currentQuestion.getReveal());
+        this.sendSystemMessage(`The answer was: ${this.currentQuestion.getCorrectAnswerText()}`);
+        this.sendAnswerResultsAndResetSelections();
+
+        if (!this.isGameOver())
+        {
+            this.phase   = roomPhase.INTERMISSION;
+            this.timerId = setTimeout(() => this.requestNewQuestion(), config.get().trivia.intermissionSeconds * 1000);
+            this.sendRoomStateToAll();
+        }
+        else this.endGame();
+    }
+
+    endGame()
+    {
+        this.phase = roomPhase.GAME_OVER;
+        this.sendRoomStateToAll();
+        this.sendGameOverToAll();
+        
+        // Remove this room from the listing
+        if (this.deleteOnLastUser)
+            deleteRoom(this);
+    }
+
+    // The question provider has nothing left for the room's category and
+    // difficulty. Depending on the room's outOfQuestions setting, widen the
+    // search (any difficulty first, then any category) or end the game.
+    handleOutOfQuestions(error)
+    {
+        console.log(`Room ${this.id} is out of questions: ${error.message}`);
+
+        let fallback = null;
+        if (this.config.outOfQuestions === outOfQuestionsAction.FALL_BACK)
+        {
+            if      (this.config.hasDifficulty()) fallback = 'any difficulty';
+            else if (this.config.hasCategory())   fallback = 'any category';
+        }
+
+        /**
+         * 'out of questions' comes with:
+         * {
+         *  categoryName: string, the room's category ('Any' for any category),
+         *  difficulty  : string, the room's difficulty (null for any difficulty),
+         *  fallback    : string, 'any difficulty' or 'any category', or null if the game is ending
+         * }
+         */
+        this.io.to(this.id).emit
+        (
+            'out of questions',
+            {
+                categoryName: this.config.hasCategory() ? this.config.category.name : 'Any',
+                difficulty  : this.config.difficulty,
+                fallback    : fallback
+            }
+        );
+
+        if (!fallback)
+        {
+            this.sendSystemMessage('There are no questions left. Game over!');
+            this.endGame();
+            return;
+        }
+
+        if (fallback === 'any difficulty') this.config.difficulty = null;
+        else                               this.config.category   = null;
+
+        this.sendSystemMessage(`There are no questions left for this room; switching to ${fallback}.`);
+        triviaEventEmitter.emit(events.UPDATE_ROOM, this);
+        this.requestNewQuestion();
     }
 
     // Request a new question from the question source.
@@ -355,19 +1509,36 @@ class TriviaRoom extends RoomBase
     // setNewQuestion() to actually assign the new question.
     requestNewQuestion()
     {
+        this.phase = roomPhase.LOADING;
+
         questionSource.getTriviaQuestionAsync
         (
             this,
             (q) => 
             {
-                this.acceptAnswers = true;
+                // The room may have been deleted while the question was on its way.
+                if (!(this.id in rooms)) return;
+
+                this.failedRequests = 0;
+                this.acceptAnswers  = true;
                 this.setNewQuestion(q);
                 this.timerId = setTimeout(timer, 1000, this);
             },
             (e) =>
             {
-                console.log(`Question retrieval error. Trying again in 5 seconds. Error: ${e}`);
-                setTimeout(this.requestNewQuestion.bind(this), 5000);
+                if (!(this.id in rooms)) return;
+
+                if (e instanceof questionSource.NoQuestionsError)
+                {
+                    this.handleOutOfQuestions(e);
+                    return;
+                }
+
+                // The wait doubles with each failure in a row, up to a limit.
+                let settings = config.get().trivia;
+                let seconds  = Math.min(settings.maxRetrySeconds, settings.retrySeconds * 2 ** this.failedRequests++);
+                console.log(`Question retrieval error. Trying again in ${seconds} seconds. Error: ${e}`);
+                this.timerId = setTimeout(this.requestNewQuestion.bind(this), seconds * 1000);
             }
         );
     }
@@ -378,20 +1549,132 @@ class TriviaRoom extends RoomBase
     {
         let stats = this.getUserStats();
         stats = stats.sort(compareStats);
-        this.io.to(this.id).emit('game over', stats);
+
+        let teams = this.getRankedTeamStats();
+        this.io.to(this.id).emit('game over', stats, teams);
+
+        triviaEventEmitter.emit(events.GAME_OVER, this, stats, teams);
     }
 
     sendGameOverToOne(user)
     {
         let stats = this.getUserStats();
         stats = stats.sort(compareStats);
-        user.socket.emit('game over', stats);
+        user.socket.emit('game over', stats, this.getRankedTeamStats());
     }
 
     isGameOver()
     {
+        if (this.phase === roomPhase.GAME_OVER) return true;
         return this.questionsAnswered === this.config.questionCount && this.config.questionCount != 0;
     }
+
+    // Stop the room's timers and tell its users why. Used when the server
+    // shuts down; the room is frozen as it is, ready for getSnapshot().
+    stop(message)
+    {
+        clearTimeout(this.timerId);
+        clearTimeout(this.restoreTimerId);
+        this.timerId        = -1;
+        this.restoreTimerId = -1;
+
+        this.sendSystemMessage(message);
+    }
+
+    // Return what it takes to bring the room back after a restart, as
+    // plain data (see restoreRoom()). Stats are kept by nickname, for
+    // players who have left this game as well as those still here. The
+    // config only holds the room password's hash, so that is all that is
+    // saved of it.
+    getSnapshot()
+    {
+        return {
+            id               : this.id,
+            name             : this.name,
+            config           : this.config,
+            host             : this.host ? this.host.nickname : this.returningHost,
+            phase            : this.phase,
+            paused           : this.paused && !this.resumeOnReturn,
+            currentQuestion  : this.phase === roomPhase.QUESTION ? this.currentQuestion : null,
+            secondsLeft      : this.secondsLeft,
+            questionsAnswered: this.questionsAnswered,
+            inviteCode       : this.inviteCode,
+            userStats        : Object.fromEntries([...this.leaverStats, ...this.userStats]),
+            teamStats        : Object.fromEntries(this.teamStats),
+            bannedNicknames  : [...this.bannedNicknames],
+            bannedAddresses  : [...this.bannedAddresses]
+        };
+    }
+
+    // Pick up where a snapshot of the room left off. Everyone in it is
+    // treated as having left: each player gets their stats back when they
+    // rejoin, and the host gets the room back. A game under way is paused
+    // until the first player returns, with an open question asked again
+    // with the time it had left. Rooms nobody returns to within the
+    // trivia.restoreGraceSeconds setting are deleted.
+    restoreSnapshot(snapshot)
+    {
+        this.id                = snapshot.id;
+        this.inviteCode        = snapshot.inviteCode;
+        this.secondsLeft       = snapshot.secondsLeft;
+        this.questionsAnswered = snapshot.questionsAnswered;
+        this.returningHost     = snapshot.host;
+        this.bannedNicknames   = new Set(snapshot.bannedNicknames);
+        this.bannedAddresses   = new Set(snapshot.bannedAddresses);
+
+        Object.entries(snapshot.userStats).forEach
+        (
+            ([nickname, stats]) => this.leaverStats.set(nickname, Object.assign(new UserStatistics(), stats, { selectedAnswer: null }))
+        );
+
+        Object.entries(snapshot.teamStats).forEach
+        (
+            ([name, team]) => this.teamStats.set(name, Object.assign(new TeamStatistics(name), team, { selectedAnswer: null }))
+        );
+
+        let question = snapshot.currentQuestion;
+        if (snapshot.phase === roomPhase.WAITING)
+        {
+            this.phase = roomPhase.WAITING;
+        }
+        else if (question)
+        {
+            this.phase           = roomPhase.QUESTION;
+            this.currentQuestion = new TriviaQuestion
+            (
+                question.question, question.answers, question.correctAnswer,
+                question.categoryName, question.difficulty, question.type
+            );
+        }
+        else this.phase = roomPhase.INTERMISSION;
+
+        this.paused         = this.phase !== roomPhase.WAITING;
+        this.resumeOnReturn = this.paused && !snapshot.paused;
+        this.restoreTimerId = setTimeout(() => this.endRestore(), config.get().trivia.restoreGraceSeconds * 1000);
+    }
+
+    // Stop waiting for the players of a restored room. Nobody came back
+    // to an empty room, so it is deleted; a room whose host didn't come
+    // back gets a new one.
+    endRestore()
+    {
+        this.restoreTimerId = -1;
+        if (!(this.id in rooms)) return;
+
+        if (this.users.length === 0)
+        {
+            deleteRoom(this);
+            console.log(`Deleted restored room ${this.id}; nobody came back.`);
+            return;
+        }
+
+        if (!this.host && this.returningHost)
+        {
+            this.returningHost = null;
+            this.host          = this.getPlayers()[0] || this.users[0];
+            this.sendRoomStateToAll();
+        }
+    }
 }
 
 // Remove the given room from the room list.
@@ -400,6 +1683,7 @@ function deleteRoom(room)
     if (room && room.id in rooms)
     {
         clearTimeout(room.timerId);
+        clearTimeout(room.restoreTimerId);
         room.timerId = -1;
         delete rooms[room.id];
         triviaEventEmitter.emit(events.DELETE_ROOM, room);
@@ -419,15 +1703,100 @@ function generateId()
     return id;
 }
 
+// Make the configuration of a room from the settings sent with
+// 'create room' (see validation.roomInfoRule), with roomInfo.password
+// hashed already (see user.js's hashRoomPassword()). category is the
+// category roomInfo.categoryId stands for, or null.
+function makeRoomConfiguration(roomInfo, category)
+{
+    let config = new RoomConfiguration
+    (
+        category,
+        roomInfo.difficulty,
+        roomInfo.maxSeconds,
+        roomInfo.canSkipQuestions,
+        roomInfo.questionCount,
+        roomInfo.questionProvider,
+        roomInfo.scoringMode
+    );
+    config.endQuestionEarly = roomInfo.endQuestionEarly;
+    config.teamNames        = roomInfo.teams;
+    config.teamAnswerMode   = roomInfo.teamAnswerMode;
+    config.outOfQuestions   = roomInfo.outOfQuestions;
+    config.spectatorChat    = roomInfo.spectatorChat;
+    config.lateJoin         = roomInfo.lateJoin;
+
+    config.listed = roomInfo.listed;
+    if (roomInfo.password)   config.password   = roomInfo.password;
+    if (roomInfo.maxPlayers) config.maxPlayers = roomInfo.maxPlayers;
+
+    return config;
+}
+
 // Make a new trivia room. ioInstance is the socket.io handle,
 // and is needed by the room to send and receive messages.
-function makeNewRoom(ioInstance, name, deleteOnLastUser = true, config = null)
+// If host is given, that user owns the room and starts the game.
+function makeNewRoom(ioInstance, name, deleteOnLastUser = true, config = null, host = null)
 {
     // Default config
     if (!config)
         config = new RoomConfiguration();
 
-    let room = new TriviaRoom(ioInstance, name, deleteOnLastUser, config);
+    let room = new TriviaRoom(ioInstance, name, deleteOnLastUser, config, host);
+
+    rooms[room.getId()] = room;
+
+    triviaEventEmitter.emit(events.NEW_ROOM, room);
+    if (!host) room.startGame();
+
+    return room;
+}
+
+// Make the rooms the config file's rooms setting asks for. Nobody hosts
+// them, so their games start straight away, and they stay open when
+// they are empty. A preset naming a question provider or category that
+// doesn't exist is skipped with a warning rather than stopping the server,
+// since a provider's categories can fail to load. Passwords in presets
+// are hashed already, as for makeRoomConfiguration(). Returns the rooms
+// made.
+function makePresetRooms(ioInstance, presets)
+{
+    return presets
+        .map
+        (
+            preset =>
+            {
+                let providerName = preset.questionProvider;
+                if (providerName !== null && !questionSource.getProvider(providerName))
+                {
+                    console.log(`Not making the room '${preset.name}': there is no question provider named '${providerName}'.`);
+                    return null;
+                }
+
+                let category = null;
+                if (preset.categoryId !== null)
+                {
+                    category = questionSource.getCategoryById(preset.categoryId, providerName);
+                    if (!category)
+                    {
+                        console.log(`Not making the room '${preset.name}': there is no category with ID ${preset.categoryId}.`);
+                        return null;
+                    }
+                }
+
+                return makeNewRoom(ioInstance, preset.name, false, makeRoomConfiguration(preset, category));
+            }
+        )
+        .filter(room => room !== null);
+}
+
+// Bring back a room from a snapshot made by TriviaRoom.getSnapshot()
+// before the server restarted.
+function restoreRoom(ioInstance, snapshot)
+{
+    let config = Object.assign(new RoomConfiguration(), snapshot.config);
+    let room   = new TriviaRoom(ioInstance, snapshot.name, true, config);
+    room.restoreSnapshot(snapshot);
 
     rooms[room.getId()] = room;
 
@@ -435,12 +1804,29 @@ function makeNewRoom(ioInstance, name, deleteOnLastUser = true, config = null)
     return room;
 }
 
+// Stop every room for a shutdown, telling their users why, and return
+// snapshots of the ones worth restoring: rooms made by players whose
+// games aren't over. Rooms the server makes itself are made again anyway.
+function stopAllRooms(message)
+{
+    return Object.values(rooms)
+        .map
+        (
+            room =>
+            {
+                room.stop(message);
+                return room.deleteOnLastUser && !room.isGameOver() ? room.getSnapshot() : null;
+            }
+        )
+        .filter(snapshot => snapshot !== null);
+}
+
 // Return the room with the given id, or null if no such room
 // exists.
 function getRoomById(id)
 {
-    if (id in rooms) return rooms[id];
-    else             return null;
+    if (rooms.hasOwnProperty(id)) return rooms[id];
+    else                          return null;
 }
 
 // Return an array of the IDs of all of the currently active rooms.
@@ -455,22 +1841,7 @@ function timer(room)
 {
     if (room.secondsLeft === 0) 
     {
-        ++room.questionsAnswered;
-        room.acceptAnswers = false;
-
-        room.io.to(room.id).emit('end question');
-        room.sendAnswerResultsAndResetSelections();
-
-        if (!room.isGameOver())
-            setTimeout(() => room.requestNewQuestion(), 5000);
-        else
-        {
-            room.sendGameOverToAll();
-            
-            // Remove this room from the listing
-            if (room.deleteOnLastUser)
-                deleteRoom(room);
-        }
+        room.endQuestion();
     }
     else 
     {
@@ -479,6 +1850,80 @@ function timer(room)
     }
 }
 
+// Maps TriviaRoom methods to the socket events the host uses to call them.
+const hostControls =
+{
+    startGame   : 'start game',
+    pauseGame   : 'pause game',
+    resumeGame  : 'resume game',
+    skipQuestion: 'skip question',
+    kickUser    : 'kick user',
+    banUser     : 'ban user',
+    transferHost: 'transfer host',
+    muteUser    : 'mute user',
+    unmuteUser  : 'unmute user',
+    setTeams    : 'set teams'
+};
+
+// Count the result of an answer in the stats and add its points.
+function applyResult(stats, result, points)
+{
+    result === answerResult.CORRECT
+        ? ++stats.questionsRight
+        : ++stats.questionsWrong;
+
+    stats.pointsChange = points.total;
+    stats.points      += stats.pointsChange;
+    if (stats.points < 0) stats.points = 0;
+}
+
+// Returns true if the typed answer is close enough to the accepted one:
+// case, accents, punctuation and a leading 'the', 'a' or 'an' are ignored,
+// and longer answers may have a typo or two.
+function isCloseMatch(answer, accepted)
+{
+    let a = normalizeText(answer);
+    let b = normalizeText(accepted);
+    if (a.length === 0) return false;
+
+    let allowedTypos = b.length <= 3 ? 0 : (b.length <= 7 ? 1 : 2);
+    return getEditDistance(a, b) <= allowedTypos;
+}
+
+function normalizeText(text)
+{
+    return text
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(the|a|an) /, '');
+}
+
+// The number of single-character insertions, deletions, substitutions
+// and swaps of neighbouring characters it takes to turn a into b.
+function getEditDistance(a, b)
+{
+    let d = [];
+    for (let i = 0; i <= a.length; ++i) d.push([i]);
+    for (let j = 1; j <= b.length; ++j) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; ++i)
+    {
+        for (let j = 1; j <= b.length; ++j)
+        {
+            let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j]  = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
 function compareStats(a, b)
 {
     if      (a.points > b.points) return -1;
@@ -500,12 +1945,25 @@ function compareStats(a, b)
 // Export the trivia API.
 //
 
-module.exports.TriviaRoom         = TriviaRoom;
-module.exports.TriviaQuestion     = TriviaQuestion;
-module.exports.RoomConfiguration  = RoomConfiguration;
-module.exports.makeNewRoom        = makeNewRoom;
-module.exports.getRoomById        = getRoomById;
-module.exports.getRoomIdList      = getRoomIdList;
-module.exports.triviaEventEmitter = triviaEventEmitter;
-module.exports.events             = events;
-module.exports.difficulty         = difficulty;
\ No newline at end of file
+module.exports.TriviaRoom            = TriviaRoom;
+module.exports.TriviaQuestion        = TriviaQuestion;
+module.exports.RoomConfiguration     = RoomConfiguration;
+module.exports.makeRoomConfiguration = makeRoomConfiguration;
+module.exports.makeNewRoom           = makeNewRoom;
+module.exports.deleteRoom            = deleteRoom;
+module.exports.makePresetRooms       = makePresetRooms;
+module.exports.restoreRoom           = restoreRoom;
+module.exports.stopAllRooms          = stopAllRooms;
+module.exports.getRoomById           = getRoomById;
+module.exports.getRoomIdList         = getRoomIdList;
+module.exports.triviaEventEmitter    = triviaEventEmitter;
+module.exports.events                = events;
+module.exports.difficulty            = difficulty;
+module.exports.answerResult          = answerResult;
+module.exports.compareStats          = compareStats;
+module.exports.roomPhase             = roomPhase;
+module.exports.scoringMode           = scoringMode;
+module.exports.teamAnswerMode        = teamAnswerMode;
+module.exports.questionType          = questionType;
+module.exports.outOfQuestionsAction  = outOfQuestionsAction;
+module.exports.lateJoinPolicy        = lateJoinPolicy;
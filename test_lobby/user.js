@@ -1,12 +1,41 @@
-const trivia    = require('./trivia-room');
-const questions = require('./question-source');
+const crypto       = require('crypto');
+const trivia       = require('./trivia-room');
+const munchkin     = require('./munchkin-room');
+const questions    = require('./question-source');
+const accounts     = require('./accounts');
+const bans         = require('./bans');
+const leaderboards = require('./leaderboards');
+const validation   = require('./validation');
+const state        = require('./state-store');
+const { rateLimits } = require('./rate-limit');
+const { joinError } = require('./roombase');
 
-// The list of connected users.
+// How long a disconnected user keeps their nickname, room and stats
+// while waiting for them to reconnect.
+const RECONNECT_GRACE_SECONDS = 60;
+
+// The list of connected users. Users who are reconnecting stay in
+// this list until their grace period runs out.
 let allUsers = [];
 let io = null;
 
-// Requests made by users to join a room before they have a nickname.
-let pendingJoinRoomRequests = {};
+// The state store hashes shared with other server instances:
+//
+// | NICKNAMES     | Lower-case nicknames in use, mapped to the instance their user is on.                    |
+// | JOIN_REQUESTS | Requests made by users to join a room before they have a nickname, keyed by socket ID. |
+const NICKNAMES     = 'nicknames';
+const JOIN_REQUESTS = 'join requests';
+
+// Maps session tokens to the users they belong to.
+let sessions = {};
+
+// Maps the session tokens of users who were in trivia rooms when the server
+// last shut down to what they need to take their place back (see
+// getSessionSnapshots()).
+let restoredSessions = {};
+
+// false once the server is shutting down.
+let acceptingRooms = true;
 
 /* 
     Initialize the User Module.
@@ -27,10 +56,14 @@ class User {
     */
     constructor(socket, nickname, lobby) 
     {
-        this.socket      = socket;
-        this.nickname    = nickname;
-        this.lobby       = lobby;
-        this.room        = null;
+        this.socket            = socket;
+        this.nickname          = nickname;
+        this.lobby             = lobby;
+        this.room              = null;
+        this.sessionToken      = null;
+        this.connected         = true;
+        this.disconnectTimerId = null;
+        this.account           = null; // The registered account the user logged in to, if any.
 
         // Wait for the user to get a nickname before listening for
         // other events.
@@ -64,6 +97,26 @@ class User {
     {
         this.setRoom(null);
     }
+
+    // Move this user onto a new socket after they reconnect, putting
+    // them back in the room they were in.
+    resumeOnSocket(socket)
+    {
+        clearTimeout(this.disconnectTimerId);
+        this.disconnectTimerId = null;
+        this.connected         = true;
+        this.socket            = socket;
+
+        initializeUser(this);
+        listenForDisconnect(this);
+
+        if (this.room)
+        {
+            this.socket.join(this.room.id);
+            this.room.reconnectUser(this);
+        }
+        else this.lobby.addUser(this);
+    }
 }
 
 // Initialize a user's socket events.
@@ -73,16 +126,49 @@ function initializeUser(user)
     user.socket.on
     (
         /**
-         * 'join room' comes with a single string, the ID of the room to join.
+         * 'join room' comes with either a single string, the ID of the room to join,
+         * or an object:
+         * {
+         *  id        : string,
+         *  password  : string (for password-protected rooms),
+         *  inviteCode: string (from an invite link; lets the user skip the password),
+         *  spectate  : boolean (optional; true to watch instead of play)
+         * }
          */
-        'join room', (id) =>
+        'join room', (request) =>
         {
-            console.log(`${user.nickname} requested to join room ${id}.`);
-            let room = trivia.getRoomById(id);
-            if (room)
-            {
-                room.addUser(user);
-            }
+            request = parseJoinRequest(request);
+            console.log(`${user.nickname} requested to join room ${request.id}.`);
+
+            checkJoinPassword(user, request).then
+            (
+                passwordRight =>
+                {
+                    if (user.connected) joinRoom(user, request, passwordRight);
+                }
+            );
+        }
+    );
+
+    // Send the user a link that brings others straight into their room.
+    // Answered with 'invite link' { roomId, inviteCode, path }; the client
+    // puts its own origin in front of path.
+    user.socket.on
+    (
+        'get invite link', () =>
+        {
+            let room = user.room;
+            if (!room || !room.inviteCode) return;
+
+            user.socket.emit
+            (
+                'invite link', 
+                {
+                    roomId    : room.id,
+                    inviteCode: room.inviteCode,
+                    path      : `/?room=${encodeURIComponent(room.id)}&invite=${room.inviteCode}`
+                }
+            );
         }
     );
 
@@ -108,26 +194,52 @@ function initializeUser(user)
          *  name:           : string,
          *  categoryId      : number,
          *  maxSeconds      : number,
-         *  canSkipQuestions: boolean
+         *  canSkipQuestions: boolean,
+         *  questionProvider: string   (optional; e.g. 'opentdb' or 'local'),
+         *  scoringMode     : string   (optional; 'classic', 'time weighted', 'streak' or 'no penalty'),
+         *  endQuestionEarly: boolean  (optional; false always runs the full countdown),
+         *  teams           : [string] (optional; team names for team mode, at least two),
+         *  teamAnswerMode  : string   (optional; 'majority' or 'first answer'),
+         *  outOfQuestions  : string   (optional; 'fall back' or 'end' when the category runs dry),
+         *  spectatorChat   : boolean  (optional; false keeps spectators out of the chat),
+         *  lateJoin        : string   (optional; 'allowed', 'between questions', 'locked' or 'catch up'),
+         *  listed          : boolean  (optional; false hides the room from the lobby),
+         *  password        : string   (optional),
+         *  maxPlayers      : number   (optional; 0 or absent means no limit)
+         * }
+         *
+         * or, for a Munchkin room:
+         * {
+         *  gameType  : 'munchkin',
+         *  name      : string,
+         *  minPlayers: number,
+         *  maxPlayers: number,
+         *  listed    : boolean,
+         *  password  : string
          * }
          */
         
         'create room', (roomInfo) =>
         {     
-            let config = new trivia.RoomConfiguration
-            (
-                questions.getCategoryById(roomInfo.categoryId),
-                roomInfo.difficulty,
-                roomInfo.maxSeconds,
-                roomInfo.canSkipQuestions,
-                roomInfo.questionCount
-            );
+            // roomInfo has been validated, and missing fields have their defaults.
+            if (!canCreateRoom(user)) return;
 
-            console.log(`${user.nickname} is creating a new room with the following config:`);
-            console.log(config);
+            // The room only keeps its password hashed. Hashing takes a
+            // while, so the user may be gone, or at their limit of rooms,
+            // by the time it is done.
+            hashRoomPassword(roomInfo.password)
+            .then
+            (
+                password =>
+                {
+                    if (!user.connected || !canCreateRoom(user)) return;
 
-            let newRoom = trivia.makeNewRoom(io, roomInfo.name, true, config);
-            newRoom.addUser(user);
+                    roomInfo = { ...roomInfo, password: password };
+                    if (roomInfo.gameType === 'munchkin') createMunchkinRoom(user, roomInfo);
+                    else                                  createTriviaRoom(user, roomInfo);
+                }
+            )
+            .catch(error => console.log(`Could not hash the password of ${user.nickname}'s new room: ${error.message}`));
         }
     );
 
@@ -138,15 +250,28 @@ function initializeUser(user)
         'message', (message) =>
         {
             console.log(`${user.nickname}: ${message}`)
-            if (message && message.length > 0 && user.room)
+            if (user.room)
             {
                 user.room.sendMessage(user, message);
             }
         }
     );
 
+    // Send a chat message from the user to one other user in the same room.
+    /**
+     * 'whisper' comes with the nickname of the recipient and the message.
+     */
+    user.socket.on
+    (
+        'whisper', (nickname, message) =>
+        {
+            if (user.room) user.room.sendWhisper(user, nickname, message);
+        }
+    );
+
     // When a user requests a list of available categories,
-    // send it to them.
+    // send it to them. 'get category list' optionally comes with the
+    // name of a question provider; the default provider is used otherwise.
     // Categories are sent in the following format:
     /**
      * [
@@ -157,13 +282,177 @@ function initializeUser(user)
      */
     user.socket.on
     (
-        'get category list', () =>
+        'get category list', (providerName) =>
+        {
+            user.socket.emit('category list', questions.getCategories(providerName));
+        }
+    );
+
+    // When a user asks about a registered player, send them that player's
+    // lifetime stats. 'get profile' comes with the player's nickname.
+    // Replies with 'profile' ({ nickname, createdAt, stats }), or
+    // 'profile not found' with the nickname if it isn't registered.
+    user.socket.on
+    (
+        'get profile', (nickname) =>
+        {
+            let profile = accounts.getProfile(nickname);
+            if (profile) user.socket.emit('profile', profile);
+            else         user.socket.emit('profile not found', nickname);
+        }
+    );
+
+    // Send the user a leaderboard. 'get leaderboard' comes with:
+    /**
+     * {
+     *  period    : 'all' or 'week' (default 'all'),
+     *  category  : string (optional; a category name),
+     *  difficulty: string (optional; easy, medium or hard),
+     *  limit     : number (optional; default 10, at most 100)
+     * }
+     */
+    // and is answered with 'leaderboard' carrying the same fields plus 'entries'.
+    user.socket.on
+    (
+        'get leaderboard', (query) =>
+        {
+            let { period, category, difficulty, limit } = query || {};
+            if (period !== leaderboards.period.WEEKLY) period = leaderboards.period.ALL_TIME;
+
+            user.socket.emit
+            (
+                'leaderboard',
+                {
+                    period    : period,
+                    category  : category || null,
+                    difficulty: difficulty || null,
+                    entries   : leaderboards.getLeaderboard(period, category, difficulty, limit)
+                }
+            );
+        }
+    );
+
+    // When a user requests the list of question providers, send it to them.
+    // Sent as { providers: ['opentdb', 'local'], default: 'opentdb' }.
+    user.socket.on
+    (
+        'get provider list', () =>
+        {
+            user.socket.emit
+            (
+                'provider list', 
+                {
+                    providers: questions.getProviderNames(), 
+                    default  : questions.getDefaultProviderName()
+                }
+            );
+        }
+    );
+}
+
+// The events a socket listens to before its user has a nickname.
+const nicknameSocketEvents = ['set nickname', 'register', 'log in', 'join room', 'resume session', 'disconnect'];
+
+// Give the user their nickname, start listening for the rest of their
+// events and send them to the room they asked to join, or the lobby.
+function acceptNickname(user, nickname)
+{
+    user.nickname = nickname;
+
+    // Stop listening to the version of 'join room' in waitForNickname().
+    user.socket.removeAllListeners('join room');
+
+    initializeUser(user);
+
+    // The session token lets the user reclaim this nickname
+    // if their connection drops.
+    user.sessionToken = crypto.randomBytes(16).toString('hex');
+    sessions[user.sessionToken] = user;
+    console.log("Setting nickname to " + user.nickname + ".");
+
+    // If the join request can't be loaded, the user goes to the lobby.
+    state.get(JOIN_REQUESTS, user.socket.id)
+    .catch
+    (
+        error =>
+        {
+            console.log(`Could not load ${user.nickname}'s join request: ${error.message}`);
+            return null;
+        }
+    )
+    .then
+    (
+        request => checkJoinPassword(user, request).then
+        (
+            passwordRight =>
+            {
+                // The user is told their nickname is good only once they are
+                // somewhere, so nothing they send next can land before them.
+                user.socket.emit
+                (
+                    'good nickname', 
+                    { 
+                        nickname    : user.nickname, 
+                        sessionToken: user.sessionToken, 
+                        registered  : user.account !== null 
+                    }
+                );
+
+                if (request)
+                {
+                    forgetJoinRequest(user.socket);
+                    if (!joinRoom(user, request, passwordRight)) user.lobby.addUser(user);
+                }
+                else user.lobby.addUser(user);
+            }
+        )
+    );
+}
+
+// Reserve the nickname on every server instance, then give it (and the
+// account it belongs to, for registered players) to the user. Returns a
+// Promise that resolves with true if the user got it, or false if someone
+// else, here or on another instance, has it already.
+function claimNickname(user, nickname, account = null)
+{
+    return state.claim(NICKNAMES, nickname.toLowerCase())
+    .then
+    (
+        claimed =>
         {
-            user.socket.emit('category list', questions.getCategories());
+            if (!claimed) return false;
+
+            // The user got another nickname, or left, while this one was being claimed.
+            if (user.nickname.length > 0 || !user.socket.connected)
+            {
+                releaseNickname(nickname);
+                return false;
+            }
+
+            user.account = account;
+            acceptNickname(user, nickname);
+            return true;
         }
     );
 }
 
+// Let anyone have the nickname again. If the store can't be reached, the
+// nickname stays taken until this instance stops.
+function releaseNickname(nickname)
+{
+    return state.remove(NICKNAMES, nickname.toLowerCase())
+        .catch(error => console.log(`Could not release the nickname ${nickname}: ${error.message}`));
+}
+
+// Forget the room the user on the socket asked to join before they had a
+// nickname. If the store can't be reached, the request is left behind
+// under the socket's ID, which is never used again.
+function forgetJoinRequest(socket)
+{
+    return state.remove(JOIN_REQUESTS, socket.id)
+        .catch(error => console.log(`Could not forget the join request of socket ${socket.id}: ${error.message}`));
+}
+
 // Sets the user's socket to wait for the user to select a nickname.
 // The socket also starts listening for the disconnect event at this
 // point.
@@ -171,39 +460,44 @@ function waitForNickname(user)
 {
     // Set the user's nickname and add them to the lobby.
     // Only works if the user hasn't set a nickname yet
-    // and the provided nickname is valid.
+    // and the provided nickname is valid. Nicknames that belong
+    // to a registered account need 'log in' instead.
     user.socket.on
     (
         'set nickname', (nickname) =>
         {
             if (user.nickname.length === 0 && isNicknameValid(nickname))
             {
-                if (!isNicknameTaken(nickname))
+                if (isNicknameTaken(nickname))
                 {
-                    user.nickname = nickname;
-
-                    // Stop listening to the version of 'join room' listed below.
-                    user.socket.removeAllListeners('join room');
-
-                    initializeUser(user);
-                    user.socket.emit('good nickname');
-
-                    if (user.socket.id in pendingJoinRoomRequests)
-                    {
-                        let room = trivia.getRoomById(pendingJoinRoomRequests[user.socket.id]);
-                        if (room) room.addUser(user);
-                        else      user.lobby.addUser(user);
-
-                        // Delete the request.
-                        delete pendingJoinRoomRequests[user.socket.id];
-                    }
-                    else user.lobby.addUser(user);
-
-                    console.log("Setting nickname to " + user.nickname + ".");
+                    user.socket.emit('nickname taken');
+                }
+                else if (accounts.isNicknameReserved(nickname))
+                {
+                    user.socket.emit('nickname reserved');
+                }
+                else if (bans.isNicknameBanned(nickname))
+                {
+                    user.socket.emit('nickname banned');
                 }
                 else
                 {
-                    user.socket.emit('nickname taken');
+                    claimNickname(user, nickname).then
+                    (
+                        claimed =>
+                        {
+                            if (!claimed && user.nickname.length === 0) user.socket.emit('nickname taken');
+                        }
+                    )
+                    .catch
+                    (
+                        error =>
+                        {
+                            // Have the user choose again.
+                            console.log(`Could not claim the nickname ${nickname}: ${error.message}`);
+                            if (user.nickname.length === 0) user.socket.emit('need nickname');
+                        }
+                    );
                 }
             }
             else
@@ -212,41 +506,569 @@ function waitForNickname(user)
             }
         }
     );
+
+    // Register an account that reserves the nickname and keeps lifetime
+    // stats, then continue as with 'set nickname'.
+    /**
+     * 'register' comes with { nickname: string, password: string }.
+     */
+    user.socket.on
+    (
+        'register', (details) =>
+        {
+            let { nickname, password } = details || {};
+
+            if (user.nickname.length > 0 || !isNicknameValid(nickname))
+            {
+                user.socket.emit('registration failed', 'Nicknames must be 1 to 16 characters.');
+                return;
+            }
+
+            if (isNicknameTaken(nickname))
+            {
+                user.socket.emit('registration failed', 'That nickname is in use.');
+                return;
+            }
+
+            if (bans.isNicknameBanned(nickname))
+            {
+                user.socket.emit('registration failed', 'That nickname is banned.');
+                return;
+            }
+
+            accounts.register(nickname, password)
+            .then
+            (
+                account =>
+                {
+                    // Make sure nobody took the name while the account was being made.
+                    if (user.nickname.length > 0 || isNicknameTaken(nickname)) return;
+
+                    console.log(`Registered an account for ${nickname}.`);
+                    return claimNickname(user, account.nickname, account).then
+                    (
+                        claimed =>
+                        {
+                            if (!claimed && user.nickname.length === 0)
+                                user.socket.emit('registration failed', 'That nickname is in use.');
+                        }
+                    );
+                }
+            )
+            .catch(error => user.socket.emit('registration failed', error.message));
+        }
+    );
+
+    // Log in to a registered account, then continue as with 'set nickname'.
+    /**
+     * 'log in' comes with { nickname: string, password: string }.
+     */
+    user.socket.on
+    (
+        'log in', (details) =>
+        {
+            let { nickname, password } = details || {};
+
+            if (user.nickname.length > 0 || !isNicknameValid(nickname))
+            {
+                user.socket.emit('login failed', 'Wrong nickname or password.');
+                return;
+            }
+
+            accounts.authenticate(nickname, password)
+            .then
+            (
+                account =>
+                {
+                    if (!account)
+                        user.socket.emit('login failed', 'Wrong nickname or password.');
+                    else if (user.nickname.length > 0)
+                        return;
+                    else if (bans.isNicknameBanned(account.nickname))
+                        user.socket.emit('login failed', 'That account is banned.');
+                    else if (isNicknameTaken(account.nickname))
+                    {
+                        // Logging in again takes over the account's existing session,
+                        // e.g. after a dropped connection or from another device.
+                        let existing = allUsers.find(u => u.account === account);
+                        if (existing) resumeSession(user, existing);
+                        else          user.socket.emit('login failed', 'That account is already playing.');
+                    }
+                    else
+                    {
+                        return claimNickname(user, account.nickname, account).then
+                        (
+                            claimed =>
+                            {
+                                // Someone on another instance is playing as the account.
+                                if (!claimed && user.nickname.length === 0)
+                                    user.socket.emit('login failed', 'That account is already playing.');
+                            }
+                        );
+                    }
+                }
+            )
+            .catch(error => user.socket.emit('login failed', error.message));
+        }
+    );
     
     // When a user requests to join a room before they have a nickname,
     // remember the request so they can be moved straight into a room
     // rather than going into the lobby.
     user.socket.on
     (
-        'join room', (id) =>
+        'join room', (request) =>
         {
-            console.log("Remembering that user wants to join " + id + "...");
-            pendingJoinRoomRequests[user.socket.id] = id;
+            request = parseJoinRequest(request);
+            console.log("Remembering that user wants to join " + request.id + "...");
+
+            // If the request can't be saved, the user goes to the lobby instead.
+            state.set(JOIN_REQUESTS, user.socket.id, request)
+                .catch(error => console.log(`Could not remember the join request for ${request.id}: ${error.message}`));
         }
     );
 
-    // Remove the user from the user list when they disconnect.
+    // A user whose connection dropped presents the session token they
+    // were given with 'good nickname' to take their old place back.
+    /**
+     * 'resume session' comes with a single string, the session token.
+     */
     user.socket.on
+    (
+        'resume session', (token) =>
+        {
+            let existing = typeof token === 'string' && sessions.hasOwnProperty(token) ? sessions[token] : null;
+            let restored = typeof token === 'string' && restoredSessions.hasOwnProperty(token) ? restoredSessions[token] : null;
+
+            if (user.nickname.length > 0 || (!existing && !restored))
+            {
+                user.socket.emit('session expired');
+                return;
+            }
+
+            if (existing) resumeSession(user, existing);
+            else          resumeRestoredSession(user, token, restored);
+        }
+    );
+
+    listenForDisconnect(user);
+}
+
+// Listen for the user's socket disconnecting.
+//
+// Users without a nickname are forgotten right away. Users with a
+// nickname keep their place for RECONNECT_GRACE_SECONDS so they can
+// resume their session; after that they are removed for good.
+function listenForDisconnect(user)
+{
+    let socket = user.socket;
+
+    socket.on
     (
         'disconnect', () =>
         {
+            // The user already moved to a newer socket.
+            if (socket !== user.socket) return;
+
             console.log(`${user.nickname || '<nameless user>'} disconnected.`);
-            allUsers.splice(allUsers.findIndex((u) => user === u), 1);
-            delete pendingJoinRoomRequests[user.socket.id];
+            forgetJoinRequest(socket);
 
-            // Remove the user from the room they are currently in, if they are
-            // in a room at all.
-            if (user.room)
+            if (user.nickname.length === 0)
             {
-                user.room.removeUser(user);
+                removeUser(user);
+                return;
             }
+
+            user.connected = false;
+            if (user.room)
+                user.room.disconnectUser(user);
+
+            user.disconnectTimerId = setTimeout
+            (
+                () =>
+                {
+                    console.log(`${user.nickname} did not reconnect in time.`);
+                    removeUser(user);
+                }, 
+                RECONNECT_GRACE_SECONDS * 1000
+            );
+        }
+    );
+}
+
+// Hand the socket of a freshly connected, nameless user over to the
+// existing user whose session it is resuming.
+function resumeSession(newUser, existing)
+{
+    let oldSocket = existing.connected ? existing.socket : null;
+
+    // The nameless user was only a placeholder for this socket.
+    nicknameSocketEvents.forEach(e => newUser.socket.removeAllListeners(e));
+    allUsers.splice(allUsers.findIndex((u) => newUser === u), 1);
+    forgetJoinRequest(newUser.socket);
+
+    newUser.socket.emit
+    (
+        'good nickname', 
+        { 
+            nickname    : existing.nickname, 
+            sessionToken: existing.sessionToken, 
+            registered  : existing.account !== null 
+        }
+    );
+    existing.resumeOnSocket(newUser.socket);
+
+    // If the old socket is somehow still connected (e.g. a second tab),
+    // close it now that the session has moved.
+    if (oldSocket) oldSocket.disconnect(true);
+
+    console.log(`${existing.nickname} resumed their session.`);
+}
+
+// Give a user back the nickname (and account) they had before the server
+// restarted, and put them back in their room.
+function resumeRestoredSession(user, token, session)
+{
+    delete restoredSessions[token];
+
+    let room = trivia.getRoomById(session.roomId);
+    if (!room || bans.isNicknameBanned(session.nickname))
+    {
+        user.socket.emit('session expired');
+        return;
+    }
+
+    // acceptNickname() takes the user to their room as if they had asked
+    // to join it before choosing a nickname.
+    let request = { id: room.id, password: null, inviteCode: room.inviteCode, spectate: session.spectate };
+    let account = session.account ? accounts.getAccount(session.account) : null;
+
+    state.set(JOIN_REQUESTS, user.socket.id, request)
+    .then(() => claimNickname(user, session.nickname, account))
+    .catch
+    (
+        error =>
+        {
+            // The user starts over as if the session had expired.
+            console.log(`Could not restore ${session.nickname}'s session: ${error.message}`);
+            return false;
+        }
+    )
+    .then
+    (
+        claimed =>
+        {
+            if (claimed || user.nickname.length > 0) return;
+
+            forgetJoinRequest(user.socket);
+            user.socket.emit('session expired');
+        }
+    );
+}
+
+// Return what the users in trivia rooms need to take their place back
+// after a restart, as plain data:
+/**
+ * [{
+ *  sessionToken: string,
+ *  nickname    : string,
+ *  account     : string, the nickname of their account (null for guests),
+ *  roomId      : string,
+ *  spectate    : boolean, true if they were watching
+ * }]
+ */
+function getSessionSnapshots()
+{
+    return allUsers
+        .filter(u => u.sessionToken && u.room && u.room.gameType === 'trivia')
+        .map
+        (
+            u =>
+            ({
+                sessionToken: u.sessionToken,
+                nickname    : u.nickname,
+                account     : u.account ? u.account.nickname : null,
+                roomId      : u.room.id,
+                spectate    : u.room.isSpectator(u)
+            })
+        );
+}
+
+// Let the users in a snapshot made by getSessionSnapshots() resume their
+// sessions.
+function restoreSessions(snapshots)
+{
+    snapshots.forEach(s => restoredSessions[s.sessionToken] = s);
+}
+
+// Turn away requests for new rooms from now on, e.g. while shutting down.
+function stopAcceptingRooms()
+{
+    acceptingRooms = false;
+}
+
+// Remove the user from the user list, forget their session and take
+// them out of the room they are in, if they are in a room at all.
+function removeUser(user)
+{
+    clearTimeout(user.disconnectTimerId);
+
+    let index = allUsers.findIndex((u) => user === u);
+    if (index !== -1) allUsers.splice(index, 1);
+
+    if (user.nickname.length > 0)
+        releaseNickname(user.nickname);
+
+    if (user.sessionToken)
+        delete sessions[user.sessionToken];
+
+    if (user.room)
+    {
+        user.room.removeUser(user);
+    }
+}
+
+// Send the user off the server with a message saying why, e.g. when an
+// admin kicks or bans them. Unlike a dropped connection, their place
+// isn't kept for them to reconnect to.
+function kickUser(user, message)
+{
+    /**
+     * 'kicked from server' comes with the message.
+     */
+    user.socket.emit('kicked from server', message);
+    console.log(`${user.nickname || '<nameless user>'} was kicked from the server.`);
+
+    user.socket.disconnect(true);
+    removeUser(user);
+}
+
+// Create a new trivia room with the given settings, hosted by the user,
+// and add the user to it. roomInfo.password is hashed already.
+function createTriviaRoom(user, roomInfo)
+{
+    // A null provider means the default one.
+    let providerName = roomInfo.questionProvider;
+    if (providerName !== null && !questions.getProvider(providerName))
+    {
+        validation.sendError
+        (
+            user.socket, 'create room', validation.errorCode.UNKNOWN_PROVIDER,
+            `There is no question provider named '${providerName}'.`
+        );
+        return;
+    }
+
+    // A null category means any category.
+    let category = null;
+    if (roomInfo.categoryId !== null)
+    {
+        category = questions.getCategoryById(roomInfo.categoryId, providerName);
+        if (!category)
+        {
+            validation.sendError
+            (
+                user.socket, 'create room', validation.errorCode.UNKNOWN_CATEGORY,
+                `There is no category with ID ${roomInfo.categoryId}.`
+            );
+            return;
+        }
+    }
+
+    let config = trivia.makeRoomConfiguration(roomInfo, category);
+
+    console.log(`${user.nickname} is creating a new room with the following config:`);
+    console.log(config);
+
+    // The creator hosts the room; the game waits for them to start it.
+    let newRoom = trivia.makeNewRoom(io, roomInfo.name, true, config, user);
+    newRoom.creator = user;
+    newRoom.addUser(user);
+}
+
+// Create a new Munchkin room with the given settings and add the user to
+// it. roomInfo.password is hashed already.
+function createMunchkinRoom(user, roomInfo)
+{
+    // The default configuration holds the most and fewest players the game
+    // supports; 0 or a missing count means the default.
+    let limits     = new munchkin.MunchkinRoomConfiguration();
+    let minPlayers = roomInfo.minPlayers || limits.minPlayers;
+    let maxPlayers = roomInfo.maxPlayers || limits.maxPlayers;
+
+    if (minPlayers < limits.minPlayers || maxPlayers > limits.maxPlayers || minPlayers > maxPlayers)
+    {
+        validation.sendError
+        (
+            user.socket, 'create room', validation.errorCode.INVALID_INPUT,
+            `Munchkin rooms need between ${limits.minPlayers} and ${limits.maxPlayers} players.`
+        );
+        return;
+    }
+
+    let config = new munchkin.MunchkinRoomConfiguration(minPlayers, maxPlayers);
+    setRoomAccess(config, roomInfo);
+
+    console.log(`${user.nickname} is creating a new Munchkin room with the following config:`);
+    console.log(config);
+
+    let newRoom = munchkin.makeNewRoom(io, roomInfo.name, true, config);
+    newRoom.creator = user;
+    newRoom.addUser(user);
+}
+
+// Returns true if the user may create another room. If they may not, they
+// are sent an error saying why.
+function canCreateRoom(user)
+{
+    let rooms = getAllRooms();
+
+    if (!acceptingRooms)
+    {
+        validation.sendError
+        (
+            user.socket, 'create room', validation.errorCode.SHUTTING_DOWN,
+            'The server is restarting. Try again in a minute.'
+        );
+        return false;
+    }
+
+    if (rooms.length >= rateLimits.maxRooms)
+    {
+        validation.sendError
+        (
+            user.socket, 'create room', validation.errorCode.TOO_MANY_ROOMS,
+            'The server has as many rooms as it can handle. Try joining one instead.'
+        );
+        return false;
+    }
+
+    if (rooms.filter(r => r.creator === user).length >= rateLimits.maxRoomsPerUser)
+    {
+        validation.sendError
+        (
+            user.socket, 'create room', validation.errorCode.TOO_MANY_ROOMS,
+            `You can't have more than ${rateLimits.maxRoomsPerUser} rooms open at once.`
+        );
+        return false;
+    }
+
+    return true;
+}
+
+// Copy who may find and join the room from the 'create room' request.
+function setRoomAccess(config, roomInfo)
+{
+    config.listed = roomInfo.listed;
+    if (roomInfo.password)   config.password   = roomInfo.password;
+    if (roomInfo.maxPlayers) config.maxPlayers = roomInfo.maxPlayers;
+}
+
+// Turn the argument of a 'join room' event into { id, password, inviteCode }.
+function parseJoinRequest(request)
+{
+    if (request && typeof request === 'object')
+    {
+        return {
+            id        : String(request.id),
+            password  : typeof request.password   === 'string' ? request.password   : null,
+            inviteCode: typeof request.inviteCode === 'string' ? request.inviteCode : null,
+            spectate  : request.spectate === true
+        };
+    }
+
+    return { id: String(request), password: null, inviteCode: null, spectate: false };
+}
+
+// Put the user in the requested room if they are allowed in, given
+// whether checkJoinPassword() took their password. Otherwise, send them
+// 'join room failed' with { id, reason } (a roombase joinError) and
+// return false.
+function joinRoom(user, request, passwordRight)
+{
+    let room   = getRoomById(request.id);
+    let reason = room 
+        ? room.getJoinError(user, passwordRight, request.inviteCode, request.spectate) 
+        : joinError.NOT_FOUND;
+
+    if (reason)
+    {
+        user.socket.emit('join room failed', { id: request.id, reason: reason });
+        return false;
+    }
+
+    if (request.spectate) room.addSpectator(user);
+    else                  room.addUser(user);
+    return user.room === room;
+}
+
+// Returns a Promise that resolves with true if the user gave the password
+// of the room they asked to join (see parseJoinRequest()), or the room
+// doesn't ask them for one. request may be null.
+function checkJoinPassword(user, request)
+{
+    let room = request ? getRoomById(request.id) : null;
+    if (!room || !room.needsPassword(user, request.inviteCode)) return Promise.resolve(true);
+
+    return checkRoomPassword(request.password, room.config.password);
+}
+
+// Hash a room password to keep in the room's config, so it isn't kept, or
+// saved with the room, as it was typed. Returns a Promise that resolves
+// with 'salt:hash' in hex, or null if password is.
+function hashRoomPassword(password)
+{
+    if (!password) return Promise.resolve(null);
+
+    let salt = crypto.randomBytes(16).toString('hex');
+    return accounts.hashPassword(password, salt).then(hash => `${salt}:${hash}`);
+}
+
+// Returns a Promise that resolves with true if password is the one
+// hashRoomPassword() hashed.
+function checkRoomPassword(password, hashed)
+{
+    if (typeof password !== 'string') return Promise.resolve(false);
+
+    let [salt, hash] = hashed.split(':');
+    return accounts.hashPassword(password, salt)
+    .then
+    (
+        actual =>
+        {
+            let expected = Buffer.from(hash || '', 'hex');
+            actual       = Buffer.from(actual, 'hex');
+
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        }
+    )
+    .catch
+    (
+        error =>
+        {
+            console.log(`Could not check a room password: ${error.message}`);
+            return false;
         }
     );
 }
 
+// Return the trivia or Munchkin room with the given ID, or null if
+// no such room exists.
+function getRoomById(id)
+{
+    return trivia.getRoomById(id) || munchkin.getRoomById(id);
+}
+
+// Return every trivia and Munchkin room.
+function getAllRooms()
+{
+    return trivia.getRoomIdList().map(trivia.getRoomById)
+        .concat(munchkin.getRoomIdList().map(munchkin.getRoomById));
+}
+
 function isNicknameValid(nickname)
 {
-    return nickname.length >= 1 && nickname.length <= 16;
+    return typeof nickname === 'string' && nickname.length >= 1 && nickname.length <= 16;
 }
 
 function isNicknameTaken(nickname)
@@ -254,6 +1076,13 @@ function isNicknameTaken(nickname)
     return allUsers.find(u => u.nickname.toLowerCase() === nickname.toLowerCase()) != undefined;
 }
 
-module.exports.User     = User;
-module.exports.allUsers = allUsers;
-module.exports.init     = init;
\ No newline at end of file
+module.exports.User                = User;
+module.exports.allUsers            = allUsers;
+module.exports.init                = init;
+module.exports.getSessionSnapshots = getSessionSnapshots;
+module.exports.restoreSessions     = restoreSessions;
+module.exports.stopAcceptingRooms  = stopAcceptingRooms;
+module.exports.kickUser            = kickUser;
+module.exports.getAllRooms         = getAllRooms;
+module.exports.getRoomById         = getRoomById;
+module.exports.hashRoomPassword    = hashRoomPassword;
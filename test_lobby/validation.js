@@ -0,0 +1,333 @@
+/*
+    Checks the arguments of every event a client sends before any handler
+    sees them.
+
+    validateEvent() is installed as socket.io middleware on each socket.
+    Arguments that don't fit the event's schema never reach the handlers;
+    instead the client gets an 'error' event carrying { event, code, message }.
+    (socket.io delivers errors from middleware to the client's 'error' event,
+    and handlers use sendError() to report problems the same way.)
+
+    Arguments that pass are normalized in place: strings marked 'trim' are
+    trimmed and missing optional values get their defaults.
+*/
+
+// The codes sent with 'error' events.
+const errorCode =
+{
+    INVALID_INPUT   : 'invalid input',
+    UNKNOWN_CATEGORY: 'unknown category',
+    UNKNOWN_PROVIDER: 'unknown provider',
+    TOO_MANY_ROOMS  : 'too many rooms',
+    UNKNOWN_USER    : 'unknown user',
+    UNKNOWN_TEAM    : 'unknown team',
+    MUTED           : 'muted',
+    ROOM_FULL       : 'room full',
+    GAME_IN_PROGRESS: 'game in progress',
+    SHUTTING_DOWN   : 'shutting down'
+};
+
+// Sane limits on everything a client can send.
+const limits =
+{
+    NICKNAME_LENGTH   : 16,
+    ROOM_NAME_LENGTH  : 32,
+    ROOM_ID_LENGTH    : 16,
+    MESSAGE_LENGTH    : 300,
+    PASSWORD_LENGTH   : 128,
+    TOKEN_LENGTH      : 64,
+    MIN_SECONDS       : 5,
+    MAX_SECONDS       : 120,
+    MAX_QUESTIONS     : 100,
+    MAX_ROOM_PLAYERS  : 50,
+    MAX_ANSWERS       : 10,
+    TEXT_ANSWER_LENGTH: 100,
+    MAX_CARD_ID       : 100000,
+    MAX_CHARITY_CARDS : 20,
+    TEAM_NAME_LENGTH  : 20,
+    MAX_TEAMS         : 8
+};
+
+// Characters a plain string can't contain: markup, and the invisible
+// characters that could make one name pass for another.
+const markupPattern    = /[<>&"]/;
+const invisiblePattern = /[\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/;
+
+// Rules reused by several events. Nicknames and team names are sent to
+// other users as they are, so they must be plain.
+const nicknameRule    = { type: 'string', minLength: 1, maxLength: limits.NICKNAME_LENGTH, trim: true, printable: true, plain: true };
+const roomIdRule      = { type: 'string', minLength: 1, maxLength: limits.ROOM_ID_LENGTH };
+const passwordRule    = { type: 'string', minLength: 1, maxLength: limits.PASSWORD_LENGTH };
+const cardIdRule      = { type: 'integer', min: 0, max: limits.MAX_CARD_ID };
+const accountRule     = { type: 'object', fields: { nickname: nicknameRule, password: passwordRule } };
+const difficultyRule  = { type: 'string', values: ['easy', 'medium', 'hard'], optional: true, nullable: true };
+const messageRule     = { type: 'string', minLength: 1, maxLength: limits.MESSAGE_LENGTH, trim: true };
+const answerIndexRule = { type: 'integer', min: 0, max: limits.MAX_ANSWERS - 1 };
+const teamNameRule    = { type: 'string', minLength: 1, maxLength: limits.TEAM_NAME_LENGTH, trim: true, printable: true, plain: true };
+const teamNamesRule   = { type: 'array', items: teamNameRule, maxLength: limits.MAX_TEAMS };
+
+// The settings of a new room, as sent with 'create room'.
+const roomInfoRule =
+{
+    type    : 'object',
+    optional: true,
+    default : {},
+    fields  :
+    {
+        gameType        : { type: 'string',  values: ['trivia', 'munchkin'], default: 'trivia' },
+        name            : { type: 'string',  minLength: 1, maxLength: limits.ROOM_NAME_LENGTH, trim: true, printable: true, default: 'New Room' },
+        difficulty      : difficultyRule,
+        categoryId      : { type: 'integer', min: 0, optional: true, nullable: true },
+        maxSeconds      : { type: 'integer', min: limits.MIN_SECONDS, max: limits.MAX_SECONDS, default: 30 },
+        canSkipQuestions: { type: 'boolean', default: false },
+        endQuestionEarly: { type: 'boolean', default: true },
+        teams           : { ...teamNamesRule, default: [] },
+        teamAnswerMode  : { type: 'string',  values: ['majority', 'first answer'], default: 'majority' },
+        outOfQuestions  : { type: 'string',  values: ['fall back', 'end'], default: 'fall back' },
+        spectatorChat   : { type: 'boolean', default: true },
+        lateJoin        : { type: 'string',  values: ['allowed', 'between questions', 'locked', 'catch up'], default: 'allowed' },
+        questionCount   : { type: 'integer', min: 0, max: limits.MAX_QUESTIONS, default: 0 },
+        questionProvider: { type: 'string',  maxLength: 32, optional: true, nullable: true },
+        scoringMode     : { type: 'string',  values: ['classic', 'time weighted', 'streak', 'no penalty'], default: 'classic' },
+        listed          : { type: 'boolean', default: true },
+        password        : { ...passwordRule, optional: true, nullable: true },
+        minPlayers      : { type: 'integer', min: 1, max: limits.MAX_ROOM_PLAYERS, optional: true },
+        maxPlayers      : { type: 'integer', min: 0, max: limits.MAX_ROOM_PLAYERS, optional: true }
+    }
+};
+
+// The rules for the arguments of each event, in order. Events with an
+// empty list take no arguments; anything sent with them is ignored.
+// Unlisted events are passed through unchecked, so every handled event
+// must be listed here.
+const eventSchemas =
+{
+    // Before a nickname is chosen.
+    'set nickname'  : [nicknameRule],
+    'register'      : [accountRule],
+    'log in'        : [accountRule],
+    'resume session': [{ type: 'string', minLength: 1, maxLength: limits.TOKEN_LENGTH }],
+
+    // Lobby and rooms.
+    'join room':
+    [
+        {
+            oneOf:
+            [
+                roomIdRule,
+                {
+                    type  : 'object',
+                    fields:
+                    {
+                        id        : roomIdRule,
+                        password  : { ...passwordRule, optional: true, nullable: true },
+                        inviteCode: { type: 'string', maxLength: limits.TOKEN_LENGTH, optional: true, nullable: true },
+                        spectate  : { type: 'boolean', default: false }
+                    }
+                }
+            ]
+        }
+    ],
+    'leave room'     : [],
+    'get invite link': [],
+    'create room'    : [roomInfoRule],
+    'message'          : [messageRule],
+    'whisper'          : [nicknameRule, messageRule],
+    'get category list': [{ type: 'string', maxLength: 32, optional: true, nullable: true }],
+    'get provider list': [],
+    'get profile'      : [nicknameRule],
+    'get leaderboard':
+    [
+        {
+            type    : 'object',
+            optional: true,
+            default : {},
+            fields  :
+            {
+                period    : { type: 'string',  values: ['all', 'week'], default: 'all' },
+                category  : { type: 'string',  maxLength: 64, optional: true, nullable: true },
+                difficulty: difficultyRule,
+                limit     : { type: 'integer', min: 1, max: 100, optional: true }
+            }
+        }
+    ],
+
+    // Trivia rooms.
+    'answer':
+    [
+        {
+            // An answer index, the text of a typed answer, or answer indexes in order.
+            oneOf:
+            [
+                answerIndexRule,
+                { type: 'string', minLength: 1, maxLength: limits.TEXT_ANSWER_LENGTH, trim: true, printable: true },
+                { type: 'array',  items: answerIndexRule, maxLength: limits.MAX_ANSWERS }
+            ]
+        }
+    ],
+    'start game'    : [],
+    'pause game'    : [],
+    'resume game'   : [],
+    'skip question' : [],
+    'kick user'     : [nicknameRule],
+    'ban user'      : [nicknameRule],
+    'transfer host' : [nicknameRule],
+    'mute user'     : [nicknameRule],
+    'unmute user'   : [nicknameRule],
+    'set teams'     : [teamNamesRule],
+    'join team'     : [teamNameRule],
+    'join as player': [],
+
+    // Munchkin rooms.
+    'kick door'       : [],
+    'loot room'       : [],
+    'fight'           : [],
+    'run away'        : [],
+    'look for trouble': [cardIdRule],
+    'play card'       : [cardIdRule, { type: 'string', maxLength: limits.NICKNAME_LENGTH, optional: true, nullable: true }],
+    'end turn'        : [{ type: 'array', items: cardIdRule, maxLength: limits.MAX_CHARITY_CARDS, optional: true, default: [] }]
+};
+
+// Thrown by checkValue() when a value breaks a rule.
+class ValidationError extends Error {}
+
+// socket.io middleware: validate and normalize the arguments of an incoming
+// event. packet is [eventName, ...args].
+function validateEvent(packet, next)
+{
+    let eventName = packet[0];
+    if (!eventSchemas.hasOwnProperty(eventName)) return next();
+
+    let rules = eventSchemas[eventName];
+
+    try
+    {
+        rules.forEach
+        (
+            (rule, i) =>
+            packet[i + 1] = checkValue(rule, packet[i + 1], rules.length === 1 ? `'${eventName}'` : `'${eventName}' argument ${i + 1}`)
+        );
+
+        // Drop anything past the arguments the event takes.
+        packet.length = rules.length + 1;
+    }
+    catch (e)
+    {
+        if (!(e instanceof ValidationError)) throw e;
+
+        let error  = new Error(e.message);
+        error.data = { event: eventName, code: errorCode.INVALID_INPUT, message: e.message };
+        return next(error);
+    }
+
+    next();
+}
+
+// Send the client an 'error' event, the same way validateEvent() does.
+function sendError(socket, eventName, code, message)
+{
+    socket.error({ event: eventName, code: code, message: message });
+}
+
+// Check the value against the rule and return it normalized. Throws a
+// ValidationError naming the offending field.
+function checkValue(rule, value, name)
+{
+    if (value === undefined || (value === null && rule.nullable))
+    {
+        // Defaults are checked too, so objects get their fields' defaults.
+        if (rule.default !== undefined)   value = clone(rule.default);
+        else if (rule.optional || rule.nullable) return null;
+        else throw new ValidationError(`${name} is required.`);
+    }
+
+    if (rule.oneOf)
+    {
+        for (let option of rule.oneOf)
+        {
+            try
+            {
+                return checkValue(option, value, name);
+            }
+            catch (e)
+            {
+                if (!(e instanceof ValidationError)) throw e;
+            }
+        }
+
+        throw new ValidationError(`${name} is not in a recognized format.`);
+    }
+
+    switch (rule.type)
+    {
+        case 'string':
+            if (typeof value !== 'string') throw new ValidationError(`${name} must be text.`);
+            if (rule.trim) value = value.trim();
+            if (rule.minLength !== undefined && value.length < rule.minLength)
+                throw new ValidationError(`${name} must be at least ${rule.minLength} character(s).`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength)
+                throw new ValidationError(`${name} must be at most ${rule.maxLength} characters.`);
+            if (rule.printable && /[\u0000-\u001f\u007f]/.test(value))
+                throw new ValidationError(`${name} can't contain control characters.`);
+            if (rule.plain && markupPattern.test(value))
+                throw new ValidationError(`${name} can't contain <, >, & or ".`);
+            if (rule.plain && invisiblePattern.test(value))
+                throw new ValidationError(`${name} can't contain invisible characters.`);
+            if (rule.values && !rule.values.includes(value))
+                throw new ValidationError(`${name} must be one of: ${rule.values.join(', ')}.`);
+            return value;
+
+        case 'integer':
+            if (!Number.isInteger(value)) throw new ValidationError(`${name} must be a whole number.`);
+            if (rule.min !== undefined && value < rule.min) throw new ValidationError(`${name} must be at least ${rule.min}.`);
+            if (rule.max !== undefined && value > rule.max) throw new ValidationError(`${name} must be at most ${rule.max}.`);
+            return value;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') throw new ValidationError(`${name} must be true or false.`);
+            return value;
+
+        case 'array':
+            if (!Array.isArray(value)) throw new ValidationError(`${name} must be a list.`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength)
+                throw new ValidationError(`${name} can have at most ${rule.maxLength} entries.`);
+            return value.map((item, i) => checkValue(rule.items, item, `${name}[${i}]`));
+
+        case 'object':
+        {
+            if (!value || typeof value !== 'object' || Array.isArray(value))
+                throw new ValidationError(`${name} must be an object.`);
+
+            // Only the known fields are kept. Strict objects, such as the
+            // sections of the config file, don't allow any others, and name
+            // their fields by their full path since they can be nested.
+            if (rule.strict)
+            {
+                let unknown = Object.keys(value).find(field => !rule.fields.hasOwnProperty(field));
+                if (unknown !== undefined) throw new ValidationError(`${name}.${unknown} is not a known setting.`);
+            }
+
+            let result = {};
+            for (let field in rule.fields)
+                result[field] = checkValue(rule.fields[field], value[field], rule.strict ? `${name}.${field}` : field);
+
+            return result;
+        }
+
+        default:
+            throw new Error(`Unknown rule type '${rule.type}'.`);
+    }
+}
+
+function clone(value)
+{
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports.validateEvent   = validateEvent;
+module.exports.sendError       = sendError;
+module.exports.checkValue      = checkValue;
+module.exports.ValidationError = ValidationError;
+module.exports.errorCode       = errorCode;
+module.exports.limits          = limits;
+module.exports.roomInfoRule    = roomInfoRule;